@@ -0,0 +1,157 @@
+/**
+ * Batch generation requests
+ *
+ * A batch is a list of prompts, a grid of parameter values, or both: every prompt
+ * is combined with every combination of grid values, on top of arguments shared
+ * by all items. The batch is expanded up front so every item can be validated
+ * before any of them is generated.
+ */
+
+// Largest number of generations a single batch may expand to
+export const MAX_BATCH_ITEMS = 50;
+
+/**
+ * Arguments of a generate_batch call
+ */
+export interface BatchRequest {
+  prompts?: string[];
+  // Values to sweep per argument; every combination is generated
+  grid?: Record<string, unknown[]>;
+  // Arguments shared by every item
+  arguments?: Record<string, unknown>;
+}
+
+/**
+ * One generation of a batch
+ */
+export interface BatchItem {
+  index: number;
+  // The prompt and grid values that set this item apart from the others
+  variation: Record<string, unknown>;
+  // Full arguments for the generation tool
+  arguments: Record<string, unknown>;
+}
+
+/**
+ * Outcome of one batch item, as recorded in the manifest
+ */
+export interface BatchItemResult {
+  index: number;
+  variation: Record<string, unknown>;
+  // Job status, or "dry_run" / "invalid" for items that never became a job
+  status: string;
+  jobId: string | null;
+  cached: boolean;
+  images: {
+    location: string;
+    url: string | null;
+    resourceUri: string;
+    width: number | null;
+    height: number | null;
+  }[];
+  error: { category: string; message: string } | null;
+}
+
+/**
+ * Machine-readable record of a whole batch, saved next to its images
+ */
+export interface BatchManifest {
+  id: string;
+  tool: string;
+  model: string;
+  createdAt: string;
+  completedAt: string;
+  total: number;
+  succeeded: number;
+  failed: number;
+  // Items validated without generating anything
+  dryRuns: number;
+  imageCount: number;
+  items: BatchItemResult[];
+}
+
+/**
+ * Number of items a batch expands to
+ */
+export function batchSize(request: BatchRequest): number {
+  const prompts = request.prompts?.length || 1;
+  return Object.values(request.grid || {}).reduce(
+    (size, values) => size * values.length,
+    prompts
+  );
+}
+
+/**
+ * Expand a batch into its items: prompts first, then grid values in the order given
+ */
+export function expandBatch(request: BatchRequest): BatchItem[] {
+  let variations: Record<string, unknown>[] = request.prompts
+    ? request.prompts.map((prompt) => ({ prompt }))
+    : [{}];
+
+  for (const [name, values] of Object.entries(request.grid || {})) {
+    variations = variations.flatMap((variation) =>
+      values.map((value) => ({ ...variation, [name]: value }))
+    );
+  }
+
+  return variations.map((variation, index) => ({
+    index,
+    variation,
+    arguments: { ...request.arguments, ...variation },
+  }));
+}
+
+/**
+ * Short label of an item's variation, e.g. `"a cat", aspect_ratio=16:9`
+ */
+export function describeVariation(variation: Record<string, unknown>): string {
+  const parts = Object.entries(variation).map(([name, value]) =>
+    name === "prompt"
+      ? JSON.stringify(value)
+      : `${name}=${typeof value === "string" ? value : JSON.stringify(value)}`
+  );
+  return parts.length > 0 ? parts.join(", ") : "(shared arguments)";
+}
+
+/**
+ * Number of batch items per outcome; items that are neither finished nor dry
+ * runs are pending
+ */
+export function countBatchResults(
+  results: Pick<BatchItemResult, "status">[]
+): Pick<BatchManifest, "total" | "succeeded" | "failed" | "dryRuns"> & {
+  pending: number;
+} {
+  const count = (...statuses: string[]) =>
+    results.filter((result) => statuses.includes(result.status)).length;
+  const succeeded = count("succeeded");
+  const failed = count("failed", "canceled");
+  const dryRuns = count("dry_run");
+  return {
+    total: results.length,
+    succeeded,
+    failed,
+    dryRuns,
+    pending: results.length - succeeded - failed - dryRuns,
+  };
+}
+
+/**
+ * Summary of the generated items of a batch, e.g. `2 of 3 succeeded, 1 failed`;
+ * dry runs are left for their own line
+ */
+export function formatBatchSummary(
+  counts: ReturnType<typeof countBatchResults>
+): string {
+  const generated = counts.total - counts.dryRuns;
+  const parts =
+    generated > 0
+      ? [
+          `${counts.succeeded} of ${generated} succeeded`,
+          ...(counts.failed ? [`${counts.failed} failed`] : []),
+          ...(counts.pending ? [`${counts.pending} not finished`] : []),
+        ]
+      : ["nothing generated"];
+  return parts.join(", ");
+}
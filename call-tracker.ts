@@ -0,0 +1,119 @@
+/**
+ * Tool calls in flight
+ *
+ * Keeps track of running tool calls so a shutdown can stop taking new ones and
+ * wait for the others to finish. Each call runs in its own async context, so a
+ * promise rejection that nothing handled while it ran can be traced back to it
+ * and fail that call alone instead of taking the server down.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Thrown for calls that arrive once the server has started shutting down
+ */
+export class ServerClosingError extends Error {
+  constructor() {
+    super("Server is shutting down; try again once it has restarted");
+    this.name = "ServerClosingError";
+  }
+}
+
+/**
+ * Fails a call in which a promise rejection went unhandled
+ */
+export class StrayRejectionError extends Error {
+  constructor(reason: unknown) {
+    super(
+      `Unexpected error during the call: ${
+        reason instanceof Error ? reason.message : String(reason)
+      }`,
+      { cause: reason }
+    );
+    this.name = "StrayRejectionError";
+  }
+}
+
+export class CallTracker {
+  private readonly calls = new Set<Promise<unknown>>();
+  // Fails the call running in the current async context
+  private readonly context = new AsyncLocalStorage<(reason: unknown) => void>();
+  private closed = false;
+
+  /**
+   * Number of calls in flight
+   */
+  get size(): number {
+    return this.calls.size;
+  }
+
+  /**
+   * Run a call, unless the tracker is closed. The call fails with a
+   * StrayRejectionError if a rejection goes unhandled while it runs, which
+   * also aborts the signal given to the task so it can stop its work; the
+   * task stays tracked until it has actually settled.
+   */
+  run<T>(task: (signal: AbortSignal) => Promise<T>): Promise<T> {
+    if (this.closed) {
+      return Promise.reject(new ServerClosingError());
+    }
+
+    const controller = new AbortController();
+    let fail!: (reason: unknown) => void;
+    const failed = new Promise<never>((_, reject) => {
+      fail = (reason) => {
+        const error = new StrayRejectionError(reason);
+        reject(error);
+        controller.abort(error);
+      };
+    });
+    const running = this.context.run(fail, () => task(controller.signal));
+
+    this.calls.add(running);
+    running.then(
+      () => this.calls.delete(running),
+      () => this.calls.delete(running)
+    );
+    return Promise.race([running, failed]);
+  }
+
+  /**
+   * Fail the call an unhandled rejection happened in; returns false when it
+   * happened outside any call. Rejections in work a call left running after
+   * it finished are ignored.
+   */
+  failCurrent(reason: unknown): boolean {
+    const fail = this.context.getStore();
+    if (!fail) {
+      return false;
+    }
+    fail(reason);
+    return true;
+  }
+
+  /**
+   * Refuse new calls
+   */
+  close(): void {
+    this.closed = true;
+  }
+
+  /**
+   * Wait for the calls in flight to finish, for at most `timeout` ms; resolves
+   * to whether they all did
+   */
+  async drain(timeout: number): Promise<boolean> {
+    let timer: NodeJS.Timeout | undefined;
+    const timedOut = new Promise<false>((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    try {
+      return await Promise.race([
+        Promise.allSettled([...this.calls]).then(() => true),
+        timedOut,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
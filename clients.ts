@@ -0,0 +1,392 @@
+/**
+ * Clients of a shared server
+ *
+ * In HTTP mode the server can require each client to authenticate with its own
+ * API key, so usage is attributed to someone instead of all being spent on the
+ * one Replicate token. Clients are listed in a JSON file keyed by name, each with
+ * its key and optional limits: tool calls per minute, and images and estimated
+ * credits per UTC day. A client can also bring its own Replicate token.
+ */
+
+import Joi from "joi";
+import { createHash } from "crypto";
+import { readFile } from "fs/promises";
+import { RateLimiterMemory, RateLimiterRes } from "rate-limiter-flexible";
+import { GenerationError } from "./errors.js";
+import type { GenerationRecord } from "./history.js";
+
+/**
+ * An authenticated client
+ */
+export interface Client {
+  name: string;
+  key: string;
+  // Tool calls per minute
+  rateLimit?: number;
+  // Images per UTC day
+  dailyImages?: number;
+  // Estimated credits (USD) per UTC day
+  dailyCredits?: number;
+  // Replicate API token used instead of the server's for this client's generations
+  replicateToken?: string;
+  // Whether the client can see the usage of every client
+  admin?: boolean;
+}
+
+/**
+ * Limits applied to clients that don't set their own
+ */
+export interface ClientLimits {
+  rateLimit?: number;
+  dailyImages?: number;
+  dailyCredits?: number;
+}
+
+/**
+ * Where a client stands against its daily quota
+ */
+export interface QuotaStatus {
+  rateLimit: number | null;
+  images: { used: number; limit: number | null };
+  credits: { used: number; limit: number | null };
+  resetsAt: string;
+}
+
+/**
+ * Usage of one client over a period
+ */
+export interface UsageSummary {
+  // null for calls made without authentication
+  client: string | null;
+  generations: number;
+  succeeded: number;
+  failed: number;
+  images: number;
+  estimatedCredits: number;
+}
+
+export const CLIENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/i;
+
+// Shape of a client as stored in the file, keyed by its name
+const storedClientSchema = Joi.object({
+  key: Joi.string().min(16).required(),
+  rateLimit: Joi.number().integer().min(1),
+  dailyImages: Joi.number().integer().min(0),
+  dailyCredits: Joi.number().min(0),
+  replicateToken: Joi.string().min(1),
+  admin: Joi.boolean(),
+});
+
+/**
+ * Read and validate the clients file; unlike presets, any problem is fatal so a
+ * broken file never leaves the server open
+ */
+export async function loadClients(filePath: string): Promise<Client[]> {
+  let stored: unknown;
+  try {
+    stored = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read clients file ${filePath}: ${
+        error instanceof Error ? error.message : error
+      }`
+    );
+  }
+  if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+    throw new Error(
+      `Clients file ${filePath} must hold an object keyed by client name`
+    );
+  }
+
+  const clients: Client[] = [];
+  const keys = new Set<string>();
+  for (const [name, value] of Object.entries(stored)) {
+    if (!CLIENT_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Clients file ${filePath}: invalid client name "${name}"`
+      );
+    }
+    const { value: client, error } = storedClientSchema.validate(value, {
+      errors: { label: "path" },
+    });
+    if (error) {
+      throw new Error(`Clients file ${filePath}: ${name}: ${error.message}`);
+    }
+    if (keys.has(client.key)) {
+      throw new Error(
+        `Clients file ${filePath}: ${name} reuses the key of another client`
+      );
+    }
+    keys.add(client.key);
+    clients.push({ name, ...client });
+  }
+  if (clients.length === 0) {
+    throw new Error(`Clients file ${filePath} lists no clients`);
+  }
+  return clients;
+}
+
+function hashKey(key: string): string {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Start of the next UTC day
+ */
+function nextUtcMidnight(): Date {
+  const now = new Date();
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+  );
+}
+
+/**
+ * Today's UTC date, as YYYY-MM-DD
+ */
+export function utcDate(time = new Date()): string {
+  return time.toISOString().slice(0, 10);
+}
+
+/**
+ * Authenticates clients and enforces their rate limits and daily quotas
+ *
+ * Limits are kept in memory. Daily image counts are keyed by UTC date, so they
+ * reset at midnight UTC; call `restoreImages` at startup to carry over what was
+ * generated earlier in the day.
+ */
+export class ClientRegistry {
+  // Clients by the SHA-256 of their key, so lookups don't compare secrets directly
+  private readonly byKeyHash = new Map<string, Client>();
+  private readonly callLimiters = new Map<string, RateLimiterMemory>();
+  private readonly imageLimiters = new Map<string, RateLimiterMemory>();
+  // Images reserved or generated today, by client name
+  private readonly imagesToday = new Map<string, number>();
+  private day = utcDate();
+
+  constructor(
+    readonly clients: Client[],
+    private readonly defaults: ClientLimits,
+    private readonly costPerImage: number
+  ) {
+    for (const client of clients) {
+      this.byKeyHash.set(hashKey(client.key), client);
+
+      const rateLimit = this.rateLimit(client);
+      if (rateLimit !== null) {
+        this.callLimiters.set(
+          client.name,
+          new RateLimiterMemory({ points: rateLimit, duration: 60 })
+        );
+      }
+      const imageLimit = this.imageLimit(client);
+      if (imageLimit !== null) {
+        this.imageLimiters.set(
+          client.name,
+          new RateLimiterMemory({
+            points: imageLimit,
+            duration: 24 * 60 * 60,
+          })
+        );
+      }
+    }
+  }
+
+  /**
+   * The client an API key belongs to
+   */
+  authenticate(key: string): Client | undefined {
+    return this.byKeyHash.get(hashKey(key));
+  }
+
+  get(name: string): Client | undefined {
+    return this.clients.find((client) => client.name === name);
+  }
+
+  /**
+   * Count a tool call against the client's per-minute limit
+   */
+  async consumeCall(client: Client): Promise<void> {
+    const limiter = this.callLimiters.get(client.name);
+    if (!limiter) {
+      return;
+    }
+    try {
+      await limiter.consume(client.name);
+    } catch (rejection) {
+      if (!(rejection instanceof RateLimiterRes)) {
+        throw rejection;
+      }
+      throw new GenerationError(
+        "rate_limit",
+        `Rate limit of ${this.rateLimit(client)} tool calls per minute reached for client "${
+          client.name
+        }"; try again in ${Math.ceil(rejection.msBeforeNext / 1000)}s`,
+        { retryAfter: rejection.msBeforeNext }
+      );
+    }
+  }
+
+  /**
+   * Reserve images against the client's daily quota before generating them
+   */
+  async reserveImages(client: Client, images: number): Promise<void> {
+    this.rollOver();
+    const limiter = this.imageLimiters.get(client.name);
+    if (limiter) {
+      try {
+        await limiter.consume(this.day, images);
+      } catch (rejection) {
+        if (!(rejection instanceof RateLimiterRes)) {
+          throw rejection;
+        }
+        // A rejected reservation still counts; give it back
+        await limiter.reward(this.day, images);
+        const { images: quota, credits } = this.quota(client);
+        throw new GenerationError(
+          "rate_limit",
+          `Daily quota reached for client "${client.name}": ${
+            quota.used
+          } of ${quota.limit} images${
+            credits.limit !== null
+              ? ` (${formatCredits(credits.used)} of ${formatCredits(
+                  credits.limit
+                )} estimated credits)`
+              : ""
+          } used today, and this call may generate ${images} more. The quota resets at ${nextUtcMidnight().toISOString()}.`
+        );
+      }
+    }
+    this.imagesToday.set(
+      client.name,
+      (this.imagesToday.get(client.name) ?? 0) + images
+    );
+  }
+
+  /**
+   * Give back reserved images that were not generated
+   */
+  async releaseImages(client: Client, images: number): Promise<void> {
+    if (images <= 0) {
+      return;
+    }
+    await this.imageLimiters.get(client.name)?.reward(this.day, images);
+    this.imagesToday.set(
+      client.name,
+      Math.max(0, (this.imagesToday.get(client.name) ?? 0) - images)
+    );
+  }
+
+  /**
+   * Count images generated earlier today, e.g. before a restart
+   */
+  async restoreImages(client: Client, images: number): Promise<void> {
+    this.rollOver();
+    const limiter = this.imageLimiters.get(client.name);
+    if (limiter && images > 0) {
+      // Allowed to exceed the quota: the images exist either way
+      await limiter.penalty(this.day, images);
+    }
+    this.imagesToday.set(
+      client.name,
+      (this.imagesToday.get(client.name) ?? 0) + images
+    );
+  }
+
+  /**
+   * Where the client stands against its limits today
+   */
+  quota(client: Client): QuotaStatus {
+    this.rollOver();
+    const used = this.imagesToday.get(client.name) ?? 0;
+    const creditLimit = client.dailyCredits ?? this.defaults.dailyCredits;
+    return {
+      rateLimit: this.rateLimit(client),
+      images: { used, limit: this.imageLimit(client) },
+      credits: {
+        used: Math.round(used * this.costPerImage * 10000) / 10000,
+        limit: creditLimit ?? null,
+      },
+      resetsAt: nextUtcMidnight().toISOString(),
+    };
+  }
+
+  private rateLimit(client: Client): number | null {
+    return client.rateLimit ?? this.defaults.rateLimit ?? null;
+  }
+
+  /**
+   * Images per day the client may generate: its image quota, or what its
+   * credit quota buys at the estimated cost per image, whichever is lower
+   */
+  private imageLimit(client: Client): number | null {
+    const images = client.dailyImages ?? this.defaults.dailyImages;
+    const credits = client.dailyCredits ?? this.defaults.dailyCredits;
+    const limits = [
+      ...(images !== undefined ? [images] : []),
+      ...(credits !== undefined && this.costPerImage > 0
+        ? [Math.floor(credits / this.costPerImage + 1e-9)]
+        : []),
+    ];
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Start counting a new day after midnight UTC
+   */
+  private rollOver(): void {
+    const today = utcDate();
+    if (today !== this.day) {
+      this.day = today;
+      this.imagesToday.clear();
+    }
+  }
+}
+
+/**
+ * Format an amount of credits in USD
+ */
+export function formatCredits(amount: number): string {
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Total the generation records of each client; calls rejected before they
+ * reached Replicate are not generations and are skipped
+ */
+export function summarizeUsage(
+  records: GenerationRecord[],
+  costPerImage: number
+): Map<string | null, UsageSummary> {
+  const summaries = new Map<string | null, UsageSummary>();
+  for (const record of records) {
+    if (record.status === "rejected") {
+      continue;
+    }
+    const client = record.client ?? null;
+    let summary = summaries.get(client);
+    if (!summary) {
+      summary = {
+        client,
+        generations: 0,
+        succeeded: 0,
+        failed: 0,
+        images: 0,
+        estimatedCredits: 0,
+      };
+      summaries.set(client, summary);
+    }
+    summary.generations++;
+    if (record.status === "succeeded") {
+      summary.succeeded++;
+    } else if (record.status === "failed" || record.status === "canceled") {
+      summary.failed++;
+    }
+    // Images that failed to download were still generated and billed
+    summary.images += record.images.length + record.downloadFailures.length;
+  }
+  for (const summary of summaries.values()) {
+    summary.estimatedCredits =
+      Math.round(summary.images * costPerImage * 10000) / 10000;
+  }
+  return summaries;
+}
@@ -0,0 +1,230 @@
+/**
+ * Streaming HTTP(S) downloads into files
+ *
+ * Redirects are followed, each download is bounded by a timeout and a byte limit,
+ * and the body is written to a temporary file that is only renamed into place once
+ * it is complete and matches its Content-Length, so failures never leave a
+ * truncated file behind.
+ */
+
+import { randomUUID } from "crypto";
+import * as fs from "fs";
+import { rename, unlink } from "fs/promises";
+import * as http from "http";
+import * as https from "https";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { GenerationError, isNetworkError, parseRetryAfter } from "./errors.js";
+
+export interface DownloadOptions {
+  // Abort a download that hasn't finished after this many ms
+  timeout: number;
+  // Largest accepted response body in bytes
+  maxBytes: number;
+  maxRedirects: number;
+  // Cancels the download, e.g. when the tool call it is for is canceled
+  signal?: AbortSignal;
+}
+
+/**
+ * A completed download
+ */
+export interface DownloadedFile {
+  // URL the file was finally served from, after redirects
+  url: string;
+  contentType?: string;
+  bytes: number;
+}
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+function get(url: URL, signal: AbortSignal): Promise<http.IncomingMessage> {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    client.get(url, { signal }, resolve).on("error", reject);
+  });
+}
+
+/**
+ * Request a URL, following redirects up to the limit
+ */
+async function fetchFollowingRedirects(
+  url: string,
+  options: DownloadOptions,
+  signal: AbortSignal
+): Promise<{ response: http.IncomingMessage; url: URL }> {
+  let current = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    if (current.protocol !== "http:" && current.protocol !== "https:") {
+      throw new GenerationError(
+        "download",
+        `Unsupported download protocol: ${current.protocol}`
+      );
+    }
+
+    const response = await get(current, signal);
+    const status = response.statusCode || 0;
+    if (!REDIRECT_STATUSES.has(status)) {
+      return { response, url: current };
+    }
+
+    response.resume();
+    const location = response.headers.location;
+    if (!location) {
+      throw new GenerationError(
+        "download",
+        `Redirect ${status} from ${current} has no Location header`
+      );
+    }
+    if (redirects >= options.maxRedirects) {
+      throw new GenerationError(
+        "download",
+        `Too many redirects (more than ${options.maxRedirects})`
+      );
+    }
+    current = new URL(location, current);
+  }
+}
+
+/**
+ * Download a URL into a file, replacing it atomically once the body is complete
+ */
+export async function downloadFile(
+  url: string,
+  destination: string,
+  options: DownloadOptions
+): Promise<DownloadedFile> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout);
+  const cancel = () => controller.abort();
+  options.signal?.addEventListener("abort", cancel, { once: true });
+  const tempPath = `${destination}.${randomUUID()}.part`;
+
+  try {
+    if (options.signal?.aborted) {
+      controller.abort();
+    }
+    const { response, url: finalUrl } = await fetchFollowingRedirects(
+      url,
+      options,
+      controller.signal
+    );
+
+    const status = response.statusCode || 0;
+    if (status !== 200) {
+      response.resume();
+      throw new GenerationError(
+        "download",
+        `Failed to download image: ${status}`,
+        {
+          status,
+          retryable: status === 429 || status >= 500,
+          retryAfter: parseRetryAfter(
+            response.headers["retry-after"] as string | undefined
+          ),
+        }
+      );
+    }
+
+    const contentLength = response.headers["content-length"];
+    const expectedBytes =
+      contentLength !== undefined ? Number(contentLength) : undefined;
+    if (expectedBytes !== undefined && expectedBytes > options.maxBytes) {
+      response.destroy();
+      throw new GenerationError(
+        "download",
+        `Image is ${expectedBytes} bytes, larger than the ${options.maxBytes} byte limit`
+      );
+    }
+
+    // Count bytes as they stream, stopping as soon as the limit is crossed
+    let bytes = 0;
+    const limiter = new Transform({
+      transform(chunk: Buffer, _encoding, callback) {
+        bytes += chunk.length;
+        if (bytes > options.maxBytes) {
+          callback(
+            new GenerationError(
+              "download",
+              `Image is larger than the ${options.maxBytes} byte limit`
+            )
+          );
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+    await pipeline(response, limiter, fs.createWriteStream(tempPath));
+
+    if (expectedBytes !== undefined && bytes !== expectedBytes) {
+      throw new GenerationError(
+        "download",
+        `Download incomplete: received ${bytes} of ${expectedBytes} bytes`,
+        { retryable: true }
+      );
+    }
+
+    await rename(tempPath, destination);
+    return {
+      url: finalUrl.toString(),
+      contentType: response.headers["content-type"],
+      bytes,
+    };
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+
+    if (error instanceof GenerationError) {
+      throw error;
+    }
+    if (options.signal?.aborted) {
+      throw new GenerationError("canceled", "Download canceled", {
+        cause: error,
+      });
+    }
+    if (controller.signal.aborted) {
+      throw new GenerationError(
+        "download",
+        `Download timed out after ${options.timeout}ms`,
+        { retryable: true, cause: error }
+      );
+    }
+    const code = (error as NodeJS.ErrnoException).code;
+    throw new GenerationError(
+      "download",
+      error instanceof Error ? error.message : String(error),
+      {
+        // A connection dropped mid-body is as transient as one that failed to open
+        retryable:
+          isNetworkError(error) || code === "ERR_STREAM_PREMATURE_CLOSE",
+        cause: error,
+      }
+    );
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener("abort", cancel);
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping results in order
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.min(Math.max(limit, 1), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,314 @@
+/**
+ * Error classification and retry logic for Replicate calls and image downloads
+ *
+ * Failures are sorted into categories so transient ones (rate limits, network
+ * hiccups, service errors) can be retried with jittered exponential backoff
+ * while permanent ones (bad token, invalid input, model failures) fail fast.
+ */
+
+export type ErrorCategory =
+  | "auth"
+  | "rate_limit"
+  | "validation"
+  | "model_failure"
+  | "network"
+  | "download"
+  | "canceled"
+  | "unknown";
+
+interface GenerationErrorOptions {
+  retryable?: boolean;
+  status?: number;
+  // Delay in ms requested by the server before retrying
+  retryAfter?: number;
+  cause?: unknown;
+}
+
+/**
+ * An error from a generation step, tagged with its category
+ */
+export class GenerationError extends Error {
+  readonly category: ErrorCategory;
+  readonly retryable: boolean;
+  readonly status?: number;
+  readonly retryAfter?: number;
+  // Number of retries attempted before giving up
+  retries = 0;
+
+  constructor(
+    category: ErrorCategory,
+    message: string,
+    options: GenerationErrorOptions = {}
+  ) {
+    super(message, { cause: options.cause });
+    this.name = "GenerationError";
+    this.category = category;
+    this.retryable = options.retryable ?? false;
+    this.status = options.status;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * A single invalid tool argument
+ */
+export interface Violation {
+  // Argument path, e.g. "image_input[2]"
+  path: string;
+  message: string;
+}
+
+/**
+ * Invalid tool arguments, listing every violation found
+ */
+export class ValidationError extends GenerationError {
+  readonly violations: Violation[];
+
+  constructor(violations: Violation[]) {
+    super(
+      "validation",
+      violations.length === 1
+        ? `Invalid argument ${violations[0].path}: ${violations[0].message}`
+        : `Invalid arguments (${violations.length} problems):\n${violations
+            .map((violation) => `• ${violation.path}: ${violation.message}`)
+            .join("\n")}`
+    );
+    this.name = "ValidationError";
+    this.violations = violations;
+  }
+}
+
+// Socket-level error codes that indicate a transient network problem
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+// Socket-level error codes raised before a request was sent
+const UNSENT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+/**
+ * Whether an error (or its cause) is a transient network failure
+ */
+export function isNetworkError(error: unknown): boolean {
+  let current: unknown = error;
+  for (let depth = 0; current && depth < 3; depth++) {
+    const code = (current as { code?: unknown }).code;
+    if (typeof code === "string" && NETWORK_ERROR_CODES.has(code)) {
+      return true;
+    }
+    current = (current as { cause?: unknown }).cause;
+  }
+
+  return error instanceof Error && error.message === "fetch failed";
+}
+
+/**
+ * Whether a request failed before it reached the server, e.g. because the
+ * connection was refused, so retrying it can't repeat its effect
+ */
+export function isUnsentRequestError(error: unknown): boolean {
+  let current: unknown = error;
+  for (let depth = 0; current && depth < 4; depth++) {
+    const code = (current as { code?: unknown }).code;
+    if (typeof code === "string" && UNSENT_ERROR_CODES.has(code)) {
+      return true;
+    }
+    current = (current as { cause?: unknown }).cause;
+  }
+  return false;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(
+  value: string | null | undefined
+): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return undefined;
+}
+
+/**
+ * Sort an error from the Replicate client into a category
+ */
+export function classifyError(error: unknown): GenerationError {
+  if (error instanceof GenerationError) {
+    return error;
+  }
+
+  const message = error instanceof Error ? error.message : String(error);
+  const response = (error as { response?: Response } | undefined)?.response;
+  const status = response?.status;
+
+  if (status !== undefined) {
+    if (status === 401 || status === 403) {
+      return new GenerationError("auth", message, { status, cause: error });
+    }
+    if (status === 429) {
+      return new GenerationError("rate_limit", message, {
+        status,
+        retryable: true,
+        retryAfter: parseRetryAfter(response?.headers?.get("Retry-After")),
+        cause: error,
+      });
+    }
+    if (status >= 500) {
+      return new GenerationError("network", message, {
+        status,
+        retryable: true,
+        cause: error,
+      });
+    }
+    if (status >= 400) {
+      return new GenerationError("validation", message, {
+        status,
+        cause: error,
+      });
+    }
+  }
+
+  if (error instanceof Error && error.name === "AbortError") {
+    return new GenerationError("canceled", message, { cause: error });
+  }
+
+  if (message.startsWith("Prediction failed")) {
+    return new GenerationError("model_failure", message, { cause: error });
+  }
+
+  if (isNetworkError(error)) {
+    return new GenerationError("network", message, {
+      retryable: true,
+      cause: error,
+    });
+  }
+
+  return new GenerationError("unknown", message, { cause: error });
+}
+
+/**
+ * Retry settings
+ */
+export interface RetryOptions {
+  // Maximum number of retries after the first attempt
+  maxRetries: number;
+  // Base delay in ms, doubled on every retry
+  baseDelay: number;
+  // Upper bound in ms for the backoff delay
+  maxDelay: number;
+  // Stops retrying once aborted, including during the backoff delay
+  signal?: AbortSignal;
+  // Whether a retryable failure may be retried; all of them by default
+  retryIf?: (error: GenerationError) => boolean;
+  // Called before each retry is scheduled
+  onRetry?: (error: GenerationError, attempt: number, delay: number) => void;
+}
+
+/**
+ * The value of a retried operation and how many retries it took
+ */
+export interface RetryResult<T> {
+  value: T;
+  retries: number;
+}
+
+/**
+ * Delay before the given retry: full jitter over an exponentially growing window,
+ * unless the server asked for a specific delay. Never more than maxDelay.
+ */
+export function backoffDelay(
+  error: GenerationError,
+  attempt: number,
+  options: RetryOptions
+): number {
+  if (error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, options.maxDelay);
+  }
+
+  const window = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * window);
+}
+
+/**
+ * Wait for a delay, or until the signal is aborted
+ */
+function sleep(delay: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, delay);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff.
+ * Throws the classified error, with its retry count, once retries run out.
+ */
+export async function withRetry<T>(
+  operation: () => Promise<T>,
+  options: RetryOptions
+): Promise<RetryResult<T>> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { value: await operation(), retries: attempt };
+    } catch (error) {
+      const classified = classifyError(error);
+      if (
+        !classified.retryable ||
+        attempt >= options.maxRetries ||
+        options.signal?.aborted ||
+        (options.retryIf && !options.retryIf(classified))
+      ) {
+        classified.retries = attempt;
+        throw classified;
+      }
+
+      const delay = backoffDelay(classified, attempt, options);
+      options.onRetry?.(classified, attempt + 1, delay);
+      await sleep(delay, options.signal);
+      if (options.signal?.aborted) {
+        classified.retries = attempt;
+        throw classified;
+      }
+    }
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Persistent generation history
+ *
+ * Every generate_image call is recorded as a JSON line in a history file under the
+ * image storage directory. The file is append-only: a later line for the same ID
+ * replaces the earlier one when the history is loaded, and the file is compacted
+ * once superseded lines outnumber live records.
+ */
+
+import { appendFile, mkdir, readFile, rename, writeFile } from "fs/promises";
+import * as path from "path";
+
+/**
+ * A stored image in a generation record
+ */
+export interface GenerationRecordImage {
+  index: number;
+  url: string;
+  key: string;
+  location: string;
+  localPath: string | null;
+  storageUrl: string | null;
+  resourceUri: string;
+  width: number | null;
+  height: number | null;
+  bytes: number;
+  sha256: string | null;
+  retries: number;
+}
+
+/**
+ * Machine-readable record of a generation
+ */
+export interface GenerationRecord {
+  id: string | null;
+  model: string;
+  // Replicate version hash the prediction ran on, if known
+  modelVersion?: string | null;
+  status: string;
+  prompt: string;
+  input: Record<string, unknown>;
+  images: GenerationRecordImage[];
+  downloadFailures: {
+    index: number;
+    url: string;
+    error: string | null;
+    retries: number;
+  }[];
+  timings: {
+    createdAt: string;
+    startedAt: string | null;
+    completedAt: string | null;
+    queueWaitMs: number | null;
+    generationMs: number | null;
+    predictMs: number | null;
+    downloadMs: number | null;
+  };
+  retries: number;
+  error: { category: string; message: string } | null;
+  // Authenticated client that made the call, on a shared server
+  client?: string | null;
+}
+
+/**
+ * Filters for searching the history
+ */
+export interface HistoryQuery {
+  // Words that must all appear in the prompt (case-insensitive)
+  text?: string;
+  // Earliest creation date (ISO date or timestamp, inclusive)
+  from?: string;
+  // Latest creation date (ISO date or timestamp, inclusive)
+  to?: string;
+  size?: string;
+  status?: string;
+  // Client that made the call
+  client?: string;
+  limit?: number;
+  offset?: number;
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a query date; date-only upper bounds cover the whole day
+ */
+function parseQueryDate(value: string, endOfDay: boolean): number {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return endOfDay && DATE_ONLY.test(value)
+    ? time + 24 * 60 * 60 * 1000 - 1
+    : time;
+}
+
+export class HistoryStore {
+  private readonly records = new Map<string, GenerationRecord>();
+  private lineCount = 0;
+  // Serializes writes so appended lines never interleave
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(readonly filePath: string) {}
+
+  /**
+   * Load the history file, compacting it if it has grown mostly stale
+   */
+  async load(): Promise<void> {
+    let contents: string;
+    try {
+      contents = await readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    for (const line of contents.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      this.lineCount++;
+      try {
+        const record = JSON.parse(line) as GenerationRecord;
+        if (record.id) {
+          this.records.set(record.id, record);
+        }
+      } catch {
+        // Skip lines truncated by a crash mid-write
+      }
+    }
+
+    if (this.lineCount > this.records.size * 2) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Insert or update a record
+   */
+  record(record: GenerationRecord): Promise<void> {
+    if (!record.id) {
+      throw new Error("Generation records need an ID");
+    }
+    this.records.set(record.id, record);
+
+    const line = JSON.stringify(record) + "\n";
+    const write = this.writes.then(async () => {
+      await mkdir(path.dirname(this.filePath), { recursive: true });
+      await appendFile(this.filePath, line, "utf8");
+      this.lineCount++;
+    });
+    // A failed write is reported to its caller without blocking later ones
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  get(id: string): GenerationRecord | undefined {
+    return this.records.get(id);
+  }
+
+  get size(): number {
+    return this.records.size;
+  }
+
+  /**
+   * Find records matching all given filters, newest first
+   */
+  search(query: HistoryQuery = {}): {
+    total: number;
+    records: GenerationRecord[];
+  } {
+    const words = (query.text || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const from = query.from ? parseQueryDate(query.from, false) : undefined;
+    const to = query.to ? parseQueryDate(query.to, true) : undefined;
+
+    const matches = [...this.records.values()].filter((record) => {
+      const prompt = record.prompt.toLowerCase();
+      if (!words.every((word) => prompt.includes(word))) {
+        return false;
+      }
+      const created = Date.parse(record.timings.createdAt);
+      if (from !== undefined && created < from) {
+        return false;
+      }
+      if (to !== undefined && created > to) {
+        return false;
+      }
+      if (query.size && record.input.size !== query.size) {
+        return false;
+      }
+      // Rejected calls never became generations, so they are only found on request
+      if (
+        query.status
+          ? record.status !== query.status
+          : record.status === "rejected"
+      ) {
+        return false;
+      }
+      if (query.client !== undefined && record.client !== query.client) {
+        return false;
+      }
+      return true;
+    });
+
+    matches.sort((a, b) =>
+      b.timings.createdAt.localeCompare(a.timings.createdAt)
+    );
+
+    const offset = query.offset || 0;
+    const limit = query.limit || 20;
+    return {
+      total: matches.length,
+      records: matches.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Wait for pending writes to reach the file
+   */
+  flush(): Promise<void> {
+    return this.writes;
+  }
+
+  /**
+   * Rewrite the file with one line per record
+   */
+  private compact(): Promise<void> {
+    const write = this.writes.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const lines = [...this.records.values()].map(
+        (record) => JSON.stringify(record) + "\n"
+      );
+      await writeFile(tempPath, lines.join(""), "utf8");
+      await rename(tempPath, this.filePath);
+      this.lineCount = lines.length;
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * HTTP mode
+ *
+ * Serves MCP over Streamable HTTP at /mcp and over the legacy HTTP+SSE transport
+ * at /sse and /messages, so one shared server can serve a whole team. Every
+ * client session gets its own MCP server instance on top of the shared
+ * generation queue, cache and storage. With client authentication on, every
+ * request needs an API key, and a session can only be used with the key that
+ * started it. Streamable HTTP sessions left idle are closed.
+ */
+
+import express, { type Request, type Response } from "express";
+import cors from "cors";
+import helmet from "helmet";
+import type { Server as HttpServer } from "http";
+import type { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import {
+  JSONRPCMessageSchema,
+  type JSONRPCMessage,
+} from "@modelcontextprotocol/sdk/types.js";
+import { SESSION_HEADER, StreamableHttpTransport } from "./streamable-http.js";
+import type { Client } from "./clients.js";
+
+export interface HttpServerOptions {
+  host: string;
+  port: number;
+  // Origins allowed to call the server from a browser; "*" allows any
+  corsOrigins: string[];
+  // Largest accepted request body, e.g. "20mb"
+  maxBodySize: string;
+  // Idle time in ms after which a Streamable HTTP session is closed
+  sessionTimeout: number;
+  createServer: (client?: Client) => Server;
+  // Client an API key belongs to; unset when clients don't authenticate
+  authenticate?: (key: string) => Client | undefined;
+  log: (level: string, message: string, data?: unknown) => void;
+}
+
+/**
+ * An MCP session and the client that started it
+ */
+interface Session<T> {
+  transport: T;
+  client?: Client;
+  // When the session was last used
+  lastSeen: number;
+}
+
+/**
+ * A JSON-RPC error response not tied to a request
+ */
+function rpcError(
+  res: Response,
+  status: number,
+  code: number,
+  message: string
+) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  });
+}
+
+/**
+ * The API key of a request, from a bearer token or the X-API-Key header
+ */
+function requestKey(req: Request): string | undefined {
+  const authorization = req.header("authorization");
+  const bearer = authorization?.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.header("x-api-key");
+}
+
+/**
+ * Start the HTTP server, resolving once it is listening
+ */
+export function startHttpServer(
+  options: HttpServerOptions
+): Promise<HttpServer> {
+  const { log } = options;
+  // Sessions by ID
+  const sessions = new Map<string, Session<StreamableHttpTransport>>();
+  const sseSessions = new Map<string, Session<SSEServerTransport>>();
+
+  const app = express();
+  app.use(helmet());
+  app.use(
+    cors({
+      origin: options.corsOrigins.includes("*") ? true : options.corsOrigins,
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "Mcp-Session-Id",
+        "Mcp-Protocol-Version",
+        "Last-Event-ID",
+        "X-API-Key",
+      ],
+      exposedHeaders: ["Mcp-Session-Id"],
+    })
+  );
+
+  app.get("/health", (_req, res) => {
+    res.json({
+      status: "ok",
+      sessions: sessions.size + sseSessions.size,
+    });
+  });
+
+  // Every MCP endpoint needs a valid API key when clients authenticate
+  const { authenticate } = options;
+  if (authenticate) {
+    app.use(["/mcp", "/sse", "/messages"], (req, res, next) => {
+      const key = requestKey(req);
+      const client = key ? authenticate(key) : undefined;
+      if (!client) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="mcp"');
+        rpcError(
+          res,
+          401,
+          -32001,
+          key
+            ? "Unauthorized: invalid API key"
+            : "Unauthorized: pass an API key as a bearer token or in the X-API-Key header"
+        );
+        return;
+      }
+      res.locals.client = client;
+      next();
+    });
+  }
+
+  /**
+   * The session a request names, if it exists and belongs to the request's
+   * client; otherwise answers with an error
+   */
+  function findSession<T>(
+    found: Session<T> | undefined,
+    res: Response
+  ): T | undefined {
+    if (!found) {
+      rpcError(res, 404, -32001, "Session not found");
+      return undefined;
+    }
+    if (
+      found.client?.name !== (res.locals.client as Client | undefined)?.name
+    ) {
+      rpcError(
+        res,
+        403,
+        -32001,
+        "Forbidden: the session belongs to another client"
+      );
+      return undefined;
+    }
+    found.lastSeen = Date.now();
+    return found.transport;
+  }
+
+  // Streamable HTTP
+  app.post(
+    "/mcp",
+    express.json({ limit: options.maxBodySize }),
+    async (req: Request, res: Response) => {
+      const batch = Array.isArray(req.body);
+      const messages: JSONRPCMessage[] = [];
+      for (const raw of batch ? req.body : [req.body]) {
+        const parsed = JSONRPCMessageSchema.safeParse(raw);
+        if (!parsed.success) {
+          rpcError(res, 400, -32600, "Invalid JSON-RPC message");
+          return;
+        }
+        messages.push(parsed.data);
+      }
+
+      const client = res.locals.client as Client | undefined;
+      const sessionId = req.header(SESSION_HEADER);
+      let transport: StreamableHttpTransport | undefined;
+      if (sessionId) {
+        transport = findSession(sessions.get(sessionId), res);
+        if (!transport) {
+          return;
+        }
+      } else {
+        const initializing = messages.some(
+          (message) => "method" in message && message.method === "initialize"
+        );
+        if (!initializing) {
+          rpcError(
+            res,
+            400,
+            -32000,
+            "Bad Request: missing Mcp-Session-Id header; start a session with an initialize request"
+          );
+          return;
+        }
+
+        const created = new StreamableHttpTransport();
+        const server = options.createServer(client);
+        // Set on the server: connecting takes over the transport's onclose
+        server.onclose = () => {
+          sessions.delete(created.sessionId);
+          log("info", `HTTP session ${created.sessionId} closed`);
+        };
+        await server.connect(created);
+        sessions.set(created.sessionId, {
+          transport: created,
+          client,
+          lastSeen: Date.now(),
+        });
+        log(
+          "info",
+          `HTTP session ${created.sessionId} started${
+            client ? ` for client ${client.name}` : ""
+          }`
+        );
+        transport = created;
+      }
+
+      transport.handlePost(
+        messages,
+        batch,
+        res,
+        (req.header("accept") || "").includes("text/event-stream")
+      );
+    }
+  );
+
+  app.get("/mcp", (req, res) => {
+    const transport = findSession(
+      sessions.get(req.header(SESSION_HEADER) || ""),
+      res
+    );
+    if (!transport) {
+      return;
+    }
+    if (!(req.header("accept") || "").includes("text/event-stream")) {
+      rpcError(res, 406, -32000, "Not Acceptable: expected text/event-stream");
+      return;
+    }
+    transport.handleGet(res);
+  });
+
+  app.delete("/mcp", async (req, res) => {
+    const transport = findSession(
+      sessions.get(req.header(SESSION_HEADER) || ""),
+      res
+    );
+    if (!transport) {
+      return;
+    }
+    await transport.close();
+    res.status(204).end();
+  });
+
+  // Legacy HTTP+SSE, for clients predating Streamable HTTP
+  app.get("/sse", async (_req, res) => {
+    const client = res.locals.client as Client | undefined;
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, {
+      transport,
+      client,
+      lastSeen: Date.now(),
+    });
+    const server = options.createServer(client);
+    res.on("close", () => {
+      sseSessions.delete(transport.sessionId);
+      server.close().catch(() => {});
+      log("info", `SSE session ${transport.sessionId} closed`);
+    });
+    await server.connect(transport);
+    log(
+      "info",
+      `SSE session ${transport.sessionId} started${
+        client ? ` for client ${client.name}` : ""
+      }`
+    );
+  });
+
+  // Not parsed by express: the transport reads the raw body itself
+  app.post("/messages", async (req, res) => {
+    const transport = findSession(
+      sseSessions.get(String(req.query.sessionId || "")),
+      res
+    );
+    if (!transport) {
+      return;
+    }
+    await transport.handlePostMessage(req, res);
+  });
+
+  // Malformed and oversized bodies get JSON-RPC errors rather than HTML pages
+  app.use(
+    (
+      error: { type?: string },
+      _req: Request,
+      res: Response,
+      next: express.NextFunction
+    ) => {
+      if (res.headersSent) {
+        next(error);
+      } else if (error.type === "entity.too.large") {
+        rpcError(res, 413, -32600, "Request body too large");
+      } else if (error.type === "entity.parse.failed") {
+        rpcError(res, 400, -32700, "Parse error: invalid JSON");
+      } else {
+        log("error", "HTTP request failed:", error);
+        rpcError(res, 500, -32603, "Internal error");
+      }
+    }
+  );
+
+  // Clients that go away without a DELETE leave their sessions behind.
+  // Legacy SSE sessions end with their stream instead.
+  const sweeper = setInterval(
+    () => {
+      const now = Date.now();
+      for (const [id, session] of sessions) {
+        // Sessions with requests or streams in flight are in use
+        if (!session.transport.idle) {
+          session.lastSeen = now;
+        } else if (now - session.lastSeen > options.sessionTimeout) {
+          log("info", `HTTP session ${id} expired after being idle`);
+          session.transport.close().catch(() => {});
+        }
+      }
+    },
+    Math.min(options.sessionTimeout, 60000)
+  );
+  sweeper.unref();
+
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(options.port, options.host, () =>
+      resolve(httpServer)
+    );
+    httpServer.on("error", reject);
+    httpServer.on("close", () => clearInterval(sweeper));
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * MCP image content blocks and seedream:// resource URIs for generated images
+ */
+
+import sharp from "sharp";
+import { IMAGE_FORMATS, sniffImageFormat } from "./image-format.js";
+
+// How generated images are embedded in tool results
+export const VALID_RETURN_IMAGE_MODES = ["none", "thumbnail", "full"] as const;
+export type ReturnImageMode = (typeof VALID_RETURN_IMAGE_MODES)[number];
+
+// URI prefix of generated image resources
+export const RESOURCE_URI_PREFIX = "seedream://images/";
+
+/**
+ * An MCP image content block
+ */
+export interface ImageContent {
+  type: "image";
+  data: string;
+  mimeType: string;
+}
+
+export interface ImageContentOptions {
+  // Longest side in pixels of thumbnails
+  thumbnailSize: number;
+  // Full images larger than this many bytes are sent as thumbnails instead
+  maxBytes: number;
+}
+
+/**
+ * MIME type of an image, detected from its bytes
+ */
+export function imageMimeType(data: Uint8Array): string {
+  const format = sniffImageFormat(data);
+  return format ? IMAGE_FORMATS[format].mimeType : "application/octet-stream";
+}
+
+/**
+ * Downscale an image to fit within a square of the given size, as JPEG
+ */
+export async function createThumbnail(
+  data: Buffer,
+  size: number
+): Promise<Buffer> {
+  return sharp(data)
+    .resize({
+      width: size,
+      height: size,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+/**
+ * Build an image content block, downscaling when asked to or when the image is too large
+ */
+export async function toImageContent(
+  data: Buffer,
+  mode: Exclude<ReturnImageMode, "none">,
+  options: ImageContentOptions
+): Promise<ImageContent> {
+  if (mode === "full" && data.length <= options.maxBytes) {
+    return {
+      type: "image",
+      data: data.toString("base64"),
+      mimeType: imageMimeType(data),
+    };
+  }
+
+  const thumbnail = await createThumbnail(data, options.thumbnailSize);
+  return {
+    type: "image",
+    data: thumbnail.toString("base64"),
+    mimeType: "image/jpeg",
+  };
+}
+
+/**
+ * Resource URI of a stored image
+ */
+export function resourceUri(key: string): string {
+  return RESOURCE_URI_PREFIX + key.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Storage key of a seedream:// resource URI, or undefined if the URI isn't one
+ */
+export function keyFromResourceUri(uri: string): string | undefined {
+  if (!uri.startsWith(RESOURCE_URI_PREFIX)) {
+    return undefined;
+  }
+  return uri
+    .slice(RESOURCE_URI_PREFIX.length)
+    .split("/")
+    .map(decodeURIComponent)
+    .join("/");
+}
@@ -0,0 +1,89 @@
+/**
+ * Image format detection from file signatures, and conversion between formats
+ */
+
+import sharp from "sharp";
+
+export const IMAGE_FORMATS = {
+  jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+  png: { mimeType: "image/png", extension: "png" },
+  webp: { mimeType: "image/webp", extension: "webp" },
+  gif: { mimeType: "image/gif", extension: "gif" },
+} as const;
+export type ImageFormat = keyof typeof IMAGE_FORMATS;
+
+/**
+ * Detect an image format from the first bytes of a file
+ */
+export function sniffImageFormat(data: Uint8Array): ImageFormat | undefined {
+  const startsWith = (bytes: number[], offset = 0) =>
+    data.length >= offset + bytes.length &&
+    bytes.every((byte, i) => data[offset + i] === byte);
+
+  if (startsWith([0xff, 0xd8, 0xff])) {
+    return "jpeg";
+  }
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "png";
+  }
+  // "RIFF" .... "WEBP"
+  if (
+    startsWith([0x52, 0x49, 0x46, 0x46]) &&
+    startsWith([0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return "webp";
+  }
+  // "GIF8"
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) {
+    return "gif";
+  }
+  return undefined;
+}
+
+/**
+ * Look up an image format by MIME type
+ */
+export function formatFromMimeType(
+  mimeType: string | undefined
+): ImageFormat | undefined {
+  const normalized = (mimeType || "").split(";")[0].trim().toLowerCase();
+  if (normalized === "image/jpg") {
+    return "jpeg";
+  }
+  return (Object.keys(IMAGE_FORMATS) as ImageFormat[]).find(
+    (format) => IMAGE_FORMATS[format].mimeType === normalized
+  );
+}
+
+/**
+ * Look up an image format by file extension
+ */
+export function formatFromExtension(filename: string): ImageFormat | undefined {
+  const extension = filename.split(".").pop()?.toLowerCase();
+  if (extension === "jpeg") {
+    return "jpeg";
+  }
+  return (Object.keys(IMAGE_FORMATS) as ImageFormat[]).find(
+    (format) => IMAGE_FORMATS[format].extension === extension
+  );
+}
+
+/**
+ * Re-encode an image in another format, flattening transparency onto white for JPEG
+ */
+export async function convertImage(
+  data: Buffer,
+  format: ImageFormat
+): Promise<Buffer> {
+  const image = sharp(data);
+  switch (format) {
+    case "jpeg":
+      return image.flatten({ background: "#ffffff" }).jpeg().toBuffer();
+    case "png":
+      return image.png().toBuffer();
+    case "webp":
+      return image.webp().toBuffer();
+    case "gif":
+      return image.gif().toBuffer();
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Resolution of image references for image-to-image generation
+ *
+ * Each reference may be an http(s) URL (passed through unchanged), a local file
+ * path, a file:// URI or a data: URI. Local files and data URIs are validated and
+ * then either inlined as a data URI or uploaded through Replicate's file API.
+ * Remote callers can be confined to one directory, so they can't read other
+ * files of the server's host.
+ */
+
+import { createHash } from "crypto";
+import { readFile, stat } from "fs/promises";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { GenerationError } from "./errors.js";
+import { normalizeKey } from "./storage.js";
+import {
+  IMAGE_FORMATS,
+  formatFromMimeType,
+  sniffImageFormat,
+  type ImageFormat,
+} from "./image-format.js";
+
+// How local images are handed to the model
+export const VALID_IMAGE_INPUT_ENCODINGS = [
+  "auto",
+  "upload",
+  "data-uri",
+] as const;
+export type ImageInputEncoding = (typeof VALID_IMAGE_INPUT_ENCODINGS)[number];
+
+export interface ImageInputOptions {
+  encoding: ImageInputEncoding;
+  // Largest accepted image in bytes
+  maxBytes: number;
+  // In auto mode, images up to this size are inlined instead of uploaded
+  inlineThreshold: number;
+  // Directories relative paths are resolved against, in order
+  searchPaths: string[];
+  // Only directory local files may be read from, instead of the search paths;
+  // absolute paths and file:// URIs are rejected
+  rootDir?: string;
+  // Whether the caller may use the stored image at a key under the root
+  // directory; images it may not use are reported as missing
+  canRead?: (key: string) => boolean;
+  // Upload an image and return a URL the model can read
+  upload: (data: Buffer, filename: string, mimeType: string) => Promise<string>;
+}
+
+/**
+ * A local image loaded into memory
+ */
+interface LoadedImage {
+  data: Buffer;
+  format: ImageFormat;
+  filename: string;
+}
+
+/**
+ * Validation error for the argument at `label`, e.g. "image_input[2]"
+ */
+function invalidInput(label: string, message: string): GenerationError {
+  return new GenerationError("validation", `${label}: ${message}`);
+}
+
+/**
+ * Decode a data: URI, checking its declared type against the actual bytes
+ */
+function loadDataUri(ref: string, label: string): LoadedImage {
+  const match = ref.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) {
+    throw invalidInput(label, "malformed data URI");
+  }
+
+  const [, mimeType, parameters, payload] = match;
+  const declared = formatFromMimeType(mimeType);
+  if (!declared) {
+    throw invalidInput(
+      label,
+      `unsupported data URI type "${mimeType || "text/plain"}"`
+    );
+  }
+
+  const data = parameters.split(";").includes("base64")
+    ? Buffer.from(payload, "base64")
+    : Buffer.from(decodeURIComponent(payload), "binary");
+
+  return {
+    data,
+    format: declared,
+    filename: `${label.replace(/\W+/g, "_").replace(/_$/, "")}.${
+      IMAGE_FORMATS[declared].extension
+    }`,
+  };
+}
+
+/**
+ * Paths a local file reference may point at: relative paths are resolved
+ * against the search paths, or only under the root directory when one is set
+ */
+function candidatePaths(
+  ref: string,
+  label: string,
+  options: ImageInputOptions
+): string[] {
+  if (options.rootDir) {
+    if (ref.startsWith("file:") || path.isAbsolute(ref)) {
+      throw invalidInput(
+        label,
+        "local files must be given relative to the image storage folder"
+      );
+    }
+    let key: string;
+    try {
+      key = normalizeKey(ref);
+    } catch {
+      throw invalidInput(label, `${ref} is outside the image storage folder`);
+    }
+    if (options.canRead && !options.canRead(key)) {
+      throw invalidInput(label, `file not found: ${ref}`);
+    }
+    return [path.join(options.rootDir, key)];
+  }
+
+  const filePath = ref.startsWith("file:") ? fileURLToPath(ref) : ref;
+  return path.isAbsolute(filePath)
+    ? [filePath]
+    : options.searchPaths.map((dir) => path.resolve(dir, filePath));
+}
+
+/**
+ * Find a local file
+ */
+async function locateFile(
+  ref: string,
+  label: string,
+  options: ImageInputOptions
+): Promise<string> {
+  const candidates = candidatePaths(ref, label, options);
+
+  for (const candidate of candidates) {
+    const stats = await stat(candidate).catch(() => undefined);
+    if (stats?.isFile()) {
+      return candidate;
+    }
+  }
+
+  throw invalidInput(label, `file not found: ${ref}`);
+}
+
+/**
+ * Load and validate a local file or data URI reference
+ */
+async function loadImageInput(
+  ref: string,
+  label: string,
+  options: ImageInputOptions
+): Promise<LoadedImage> {
+  let image: LoadedImage;
+  if (ref.startsWith("data:")) {
+    image = loadDataUri(ref, label);
+  } else {
+    const filePath = await locateFile(ref, label, options);
+    const { size } = await stat(filePath);
+    if (size > options.maxBytes) {
+      throw invalidInput(
+        label,
+        `${ref} is ${size} bytes, larger than the ${options.maxBytes} byte limit`
+      );
+    }
+    const data = await readFile(filePath);
+    const format = sniffImageFormat(data);
+    if (!format) {
+      throw invalidInput(label, `${ref} is not a JPEG, PNG, WebP or GIF image`);
+    }
+    image = { data, format, filename: path.basename(filePath) };
+  }
+
+  if (image.data.length > options.maxBytes) {
+    throw invalidInput(
+      label,
+      `image is ${image.data.length} bytes, larger than the ${options.maxBytes} byte limit`
+    );
+  }
+
+  // The bytes must actually be an image of the declared type
+  const actual = sniffImageFormat(image.data);
+  if (actual !== image.format) {
+    throw invalidInput(
+      label,
+      `content does not match its declared ${IMAGE_FORMATS[image.format].mimeType} type`
+    );
+  }
+
+  return image;
+}
+
+function checkReference(ref: string, label: string): void {
+  if (typeof ref !== "string" || ref.trim() === "") {
+    throw invalidInput(label, "must be a non-empty string");
+  }
+}
+
+/**
+ * Resolve an image reference into something the model accepts; `label` names the
+ * argument it came from in errors
+ */
+export async function resolveImageInput(
+  ref: string,
+  label: string,
+  options: ImageInputOptions
+): Promise<string> {
+  checkReference(ref, label);
+  if (/^https?:\/\//i.test(ref)) {
+    return ref;
+  }
+
+  const image = await loadImageInput(ref, label, options);
+  const mimeType = IMAGE_FORMATS[image.format].mimeType;
+  const inline =
+    options.encoding === "data-uri" ||
+    (options.encoding === "auto" &&
+      image.data.length <= options.inlineThreshold);
+
+  if (inline) {
+    return `data:${mimeType};base64,${image.data.toString("base64")}`;
+  }
+  return options.upload(image.data, image.filename, mimeType);
+}
+
+/**
+ * Identify the content of an image reference: URLs stand for themselves, local
+ * files and data URIs are identified by the SHA-256 of their bytes
+ */
+export async function imageInputFingerprint(
+  ref: string,
+  label: string,
+  options: ImageInputOptions
+): Promise<string> {
+  checkReference(ref, label);
+  if (/^https?:\/\//i.test(ref)) {
+    return ref;
+  }
+
+  const image = await loadImageInput(ref, label, options);
+  return `sha256:${createHash("sha256").update(image.data).digest("hex")}`;
+}
+
+/**
+ * Whether a reference points at a local file or data URI rather than a URL
+ */
+export function isLocalImageInput(ref: string): boolean {
+  return !/^https?:\/\//i.test(ref);
+}
@@ -0,0 +1,287 @@
+/**
+ * Provenance metadata for generated images
+ *
+ * Each stored image can get a JSON sidecar next to it, and the same metadata can be
+ * embedded in the file itself: EXIF and XMP segments for JPEG, text chunks for PNG.
+ */
+
+import { sniffImageFormat } from "./image-format.js";
+
+// Where image metadata is written
+export const VALID_IMAGE_METADATA_MODES = [
+  "sidecar",
+  "embed",
+  "both",
+  "none",
+] as const;
+export type ImageMetadataMode = (typeof VALID_IMAGE_METADATA_MODES)[number];
+
+// Software name recorded in embedded metadata
+const SOFTWARE = "seedream4-replicate-server";
+
+// Largest payload of a JPEG segment (the length field is 16 bits and counts itself)
+const MAX_SEGMENT_PAYLOAD = 0xffff - 2;
+
+/**
+ * Provenance of a generated image
+ */
+export interface ImageMetadata {
+  prompt: string;
+  parameters: Record<string, unknown>;
+  model: string;
+  modelVersion: string | null;
+  predictionId: string;
+  imageIndex: number;
+  sourceUrl: string;
+  createdAt: string;
+}
+
+/**
+ * Storage key of the JSON sidecar for an image
+ */
+export function sidecarKey(key: string): string {
+  return key.replace(/\.[^./]*$/, "") + ".json";
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data: Buffer): number {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A PNG text chunk: tEXt when the text is Latin-1, iTXt (UTF-8) otherwise
+ */
+function pngTextChunk(keyword: string, text: string): Buffer {
+  const latin1 = [...text].every((char) => char.charCodeAt(0) <= 0xff);
+  const type = latin1 ? "tEXt" : "iTXt";
+  const body = latin1
+    ? Buffer.concat([
+        Buffer.from(`${keyword}\0`, "latin1"),
+        Buffer.from(text, "latin1"),
+      ])
+    : Buffer.concat([
+        // Keyword, uncompressed, no language tag or translated keyword
+        Buffer.from(`${keyword}\0\0\0\0\0`, "latin1"),
+        Buffer.from(text, "utf8"),
+      ]);
+
+  const typeAndBody = Buffer.concat([Buffer.from(type, "latin1"), body]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * Add text chunks right after the IHDR chunk of a PNG
+ */
+function embedPng(data: Buffer, metadata: ImageMetadata): Buffer {
+  // 8-byte signature, then IHDR: length, type, 13 bytes of data, CRC
+  const ihdrEnd = 8 + 8 + data.readUInt32BE(8) + 4;
+  const chunks = [
+    pngTextChunk("Description", metadata.prompt),
+    pngTextChunk("Software", SOFTWARE),
+    pngTextChunk("Creation Time", metadata.createdAt),
+    pngTextChunk("Source", metadata.model),
+    pngTextChunk("Comment", JSON.stringify(metadata)),
+  ];
+  return Buffer.concat([
+    data.subarray(0, ihdrEnd),
+    ...chunks,
+    data.subarray(ihdrEnd),
+  ]);
+}
+
+/**
+ * A JPEG APP1 segment, or undefined if the payload doesn't fit in one
+ */
+function app1Segment(payload: Buffer): Buffer | undefined {
+  if (payload.length > MAX_SEGMENT_PAYLOAD) {
+    return undefined;
+  }
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * EXIF APP1 segment with the prompt, software and creation time in IFD0
+ */
+function exifSegment(metadata: ImageMetadata): Buffer | undefined {
+  const date = new Date(metadata.createdAt);
+  const dateTime = Number.isNaN(date.getTime())
+    ? undefined
+    : date.toISOString().slice(0, 19).replace("T", " ").replace(/-/g, ":");
+
+  // ASCII entries in ascending tag order, each NUL-terminated
+  const entries = [
+    { tag: 0x010e, value: metadata.prompt }, // ImageDescription
+    { tag: 0x0131, value: SOFTWARE }, // Software
+    ...(dateTime ? [{ tag: 0x0132, value: dateTime }] : []), // DateTime
+  ].map(({ tag, value }) => ({
+    tag,
+    value: Buffer.from(`${value}\0`, "utf8"),
+  }));
+
+  // Big-endian TIFF header, IFD0 at offset 8, out-of-line values after the IFD
+  const ifdSize = 2 + entries.length * 12 + 4;
+  let valueOffset = 8 + ifdSize;
+  const ifd = Buffer.alloc(ifdSize);
+  ifd.writeUInt16BE(entries.length, 0);
+  const values: Buffer[] = [];
+
+  entries.forEach(({ tag, value }, i) => {
+    const entry = 2 + i * 12;
+    ifd.writeUInt16BE(tag, entry);
+    ifd.writeUInt16BE(2, entry + 2); // ASCII
+    ifd.writeUInt32BE(value.length, entry + 4);
+    if (value.length <= 4) {
+      value.copy(ifd, entry + 8);
+    } else {
+      ifd.writeUInt32BE(valueOffset, entry + 8);
+      values.push(value);
+      valueOffset += value.length;
+    }
+  });
+
+  return app1Segment(
+    Buffer.concat([
+      Buffer.from("Exif\0\0", "latin1"),
+      Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08]),
+      ifd,
+      ...values,
+    ])
+  );
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/\0";
+
+/**
+ * XMP APP1 segment; the parameters are left out if they would overflow the segment
+ */
+function xmpSegment(metadata: ImageMetadata): Buffer | undefined {
+  const packet = (includeParameters: boolean) =>
+    Buffer.from(
+      XMP_NAMESPACE +
+        `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:seedream="https://github.com/PierrunoYT/seedream-v4-replicate-mcp-server/ns/1.0/">
+   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(
+     metadata.prompt
+   )}</rdf:li></rdf:Alt></dc:description>
+   <xmp:CreatorTool>${SOFTWARE}</xmp:CreatorTool>
+   <xmp:CreateDate>${escapeXml(metadata.createdAt)}</xmp:CreateDate>
+   <seedream:model>${escapeXml(metadata.model)}</seedream:model>
+   <seedream:modelVersion>${escapeXml(
+     metadata.modelVersion || ""
+   )}</seedream:modelVersion>
+   <seedream:predictionId>${escapeXml(
+     metadata.predictionId
+   )}</seedream:predictionId>
+   <seedream:imageIndex>${metadata.imageIndex}</seedream:imageIndex>
+   <seedream:sourceUrl>${escapeXml(metadata.sourceUrl)}</seedream:sourceUrl>${
+     includeParameters
+       ? `
+   <seedream:parameters>${escapeXml(
+     JSON.stringify(metadata.parameters)
+   )}</seedream:parameters>`
+       : ""
+   }
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`,
+      "utf8"
+    );
+
+  return app1Segment(packet(true)) || app1Segment(packet(false));
+}
+
+/**
+ * Whether a JPEG segment is an existing EXIF or XMP block
+ */
+function isMetadataSegment(segment: Buffer): boolean {
+  if (segment[1] !== 0xe1) {
+    return false;
+  }
+  const payload = segment.subarray(4);
+  return (
+    payload.subarray(0, 6).toString("latin1") === "Exif\0\0" ||
+    payload.subarray(0, XMP_NAMESPACE.length).toString("latin1") ===
+      XMP_NAMESPACE
+  );
+}
+
+/**
+ * Replace the EXIF and XMP segments of a JPEG, keeping a leading JFIF segment first
+ */
+function embedJpeg(data: Buffer, metadata: ImageMetadata): Buffer {
+  const segments: Buffer[] = [];
+  let offset = 2;
+
+  // Marker segments run until start-of-scan; the entropy-coded data follows
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    if (marker === 0xda) {
+      break;
+    }
+    const end = offset + 2 + data.readUInt16BE(offset + 2);
+    segments.push(data.subarray(offset, end));
+    offset = end;
+  }
+
+  const kept = segments.filter((segment) => !isMetadataSegment(segment));
+  const leading = kept[0]?.[1] === 0xe0 ? kept.splice(0, 1) : [];
+  const added = [exifSegment(metadata), xmpSegment(metadata)].filter(
+    (segment): segment is Buffer => segment !== undefined
+  );
+
+  return Buffer.concat([
+    data.subarray(0, 2),
+    ...leading,
+    ...added,
+    ...kept,
+    data.subarray(offset),
+  ]);
+}
+
+/**
+ * Embed metadata in an image, or return undefined if its format isn't supported
+ */
+export function embedMetadata(
+  data: Buffer,
+  metadata: ImageMetadata
+): Buffer | undefined {
+  switch (sniffImageFormat(data)) {
+    case "jpeg":
+      return embedJpeg(data, metadata);
+    case "png":
+      return embedPng(data, metadata);
+    default:
+      return undefined;
+  }
+}
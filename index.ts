@@ -20,15 +20,157 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  type CallToolRequest,
+  type GetPromptRequest,
+  type ListResourcesRequest,
+  type LoggingLevel,
+  type ReadResourceRequest,
 } from "@modelcontextprotocol/sdk/types.js";
-import Replicate from "replicate";
-import { writeFile } from "fs/promises";
+import Replicate, { type Prediction } from "replicate";
+import { readFile, writeFile } from "fs/promises";
 import * as fs from "fs";
 import * as path from "path";
-import * as https from "https";
-import * as http from "http";
-import { URL } from "url";
+import { createHash, randomUUID } from "crypto";
+import sharp from "sharp";
+import { RequestScheduler, type Slot } from "./request-queue.js";
+import {
+  CallTracker,
+  ServerClosingError,
+  StrayRejectionError,
+} from "./call-tracker.js";
+import {
+  GenerationError,
+  ValidationError,
+  classifyError,
+  type Violation,
+  isNetworkError,
+  isUnsentRequestError,
+  withRetry,
+  type ErrorCategory,
+  type RetryOptions,
+} from "./errors.js";
+import {
+  LocalStorage,
+  S3Storage,
+  VALID_STORAGE_LAYOUTS,
+  isImageKey,
+  storageFolder,
+  type StorageBackend,
+  type StorageLayout,
+  type StoredObject,
+} from "./storage.js";
+import {
+  VALID_IMAGE_INPUT_ENCODINGS,
+  imageInputFingerprint,
+  isLocalImageInput,
+  resolveImageInput,
+  type ImageInputEncoding,
+  type ImageInputOptions,
+} from "./image-input.js";
+import {
+  imageMimeType,
+  keyFromResourceUri,
+  resourceUri,
+  toImageContent,
+  type ImageContent,
+  type ReturnImageMode,
+} from "./image-content.js";
+import {
+  IMAGE_FORMATS,
+  convertImage,
+  formatFromExtension,
+  formatFromMimeType,
+  sniffImageFormat,
+  type ImageFormat,
+} from "./image-format.js";
+import { HistoryStore, type GenerationRecord } from "./history.js";
+import { ResultCache, cacheKey } from "./result-cache.js";
+import {
+  downloadFile,
+  mapWithConcurrency,
+  type DownloadOptions,
+} from "./downloader.js";
+import {
+  VALID_IMAGE_METADATA_MODES,
+  embedMetadata,
+  sidecarKey,
+  type ImageMetadata,
+  type ImageMetadataMode,
+} from "./image-metadata.js";
+import {
+  TOOLS,
+  VALID_RESPONSE_FORMATS,
+  splitGenerationArguments,
+  toolInputSchema,
+  validateToolArguments,
+  type OutputFormat,
+  type ResponseFormat,
+} from "./tool-schemas.js";
+import type { ParameterAdjustment } from "./param-conflicts.js";
+import { getPrompt, listPrompts } from "./prompts.js";
+import { startHttpServer } from "./http-server.js";
+import type { Server as HttpServer } from "http";
+import { ProgressReporter } from "./progress.js";
+import {
+  ClientRegistry,
+  formatCredits,
+  loadClients,
+  summarizeUsage,
+  utcDate,
+  type Client,
+} from "./clients.js";
+import {
+  PresetStore,
+  applyPreset,
+  templateVariables,
+  type Preset,
+} from "./presets.js";
+import {
+  renderContactSheet,
+  slugify,
+  storyboardPrompt,
+  type StoryboardFrame,
+  type StoryboardManifest,
+} from "./storyboard.js";
+import {
+  countBatchResults,
+  describeVariation,
+  expandBatch,
+  formatBatchSummary,
+  type BatchItem,
+  type BatchItemResult,
+  type BatchManifest,
+  type BatchRequest,
+} from "./batch.js";
+import {
+  MODELS,
+  describeModelInput,
+  imageReferences,
+  mapImageReferences,
+  modelForReplicateId,
+  modelForTool,
+  type ModelDefinition,
+  type ModelInput,
+} from "./models.js";
+
+/**
+ * Value of a command line option, given as `--name value` or `--name=value`
+ */
+function cliOption(name: string): string | undefined {
+  const args = process.argv.slice(2);
+  const inline = args.find((arg) => arg.startsWith(`--${name}=`));
+  if (inline) {
+    return inline.slice(name.length + 3);
+  }
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
 
 // Get Replicate API token from environment variable
 const REPLICATE_API_TOKEN = process.env.REPLICATE_API_TOKEN;
@@ -38,9 +180,106 @@ const MAX_CONCURRENT_REQUESTS = parseInt(
   process.env.MAX_CONCURRENT_REQUESTS || "3"
 );
 const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT || "300000");
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH || "20");
+const QUEUE_TIMEOUT = parseInt(process.env.QUEUE_TIMEOUT || "60000");
+// How long a shutdown waits for tool calls in flight to finish
+const SHUTDOWN_GRACE_PERIOD = parseInt(
+  process.env.SHUTDOWN_GRACE_PERIOD || "30000"
+);
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || "3");
+const RETRY_BASE_DELAY = parseInt(process.env.RETRY_BASE_DELAY || "1000");
+const RETRY_MAX_DELAY = 30000;
+const IMAGE_STORAGE_PATH = path.resolve(
+  process.env.IMAGE_STORAGE_PATH || "images"
+);
+const IMAGE_STORAGE_LAYOUT = (process.env.IMAGE_STORAGE_LAYOUT ||
+  "flat") as StorageLayout;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local";
+const IMAGE_INPUT_ENCODING = (process.env.IMAGE_INPUT_ENCODING ||
+  "auto") as ImageInputEncoding;
+const IMAGE_INPUT_MAX_BYTES = parseInt(
+  process.env.IMAGE_INPUT_MAX_BYTES || String(10 * 1024 * 1024)
+);
+// In auto mode, local images up to this size are inlined as data URIs
+const IMAGE_INPUT_INLINE_THRESHOLD = 256 * 1024;
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE || "512");
+const MAX_INLINE_IMAGE_BYTES = parseInt(
+  process.env.MAX_INLINE_IMAGE_BYTES || String(1024 * 1024)
+);
+const DOWNLOAD_TIMEOUT = parseInt(process.env.DOWNLOAD_TIMEOUT || "60000");
+const MAX_DOWNLOAD_BYTES = parseInt(
+  process.env.MAX_DOWNLOAD_BYTES || String(50 * 1024 * 1024)
+);
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY || "4");
+const DOWNLOAD_MAX_REDIRECTS = 5;
+const COST_PER_IMAGE = parseFloat(process.env.COST_PER_IMAGE || "0.03");
+const ENABLE_CACHING = process.env.ENABLE_CACHING !== "false";
+const CACHE_TTL = parseInt(process.env.CACHE_TTL || "3600");
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || "100");
+const IMAGE_METADATA = (process.env.IMAGE_METADATA ||
+  "sidecar") as ImageMetadataMode;
+// Pinned model versions, as "<model key>=<version hash>" pairs separated by commas
+const MODEL_VERSIONS = process.env.MODEL_VERSIONS || "";
+const HISTORY_PATH = path.resolve(
+  process.env.HISTORY_PATH || path.join(IMAGE_STORAGE_PATH, "history.jsonl")
+);
+// stdio (default) or http; --http is short for --transport http
+const MCP_TRANSPORT =
+  cliOption("transport") ||
+  (process.argv.includes("--http") ? "http" : undefined) ||
+  process.env.MCP_TRANSPORT ||
+  "stdio";
+const HTTP_HOST = cliOption("host") || process.env.HTTP_HOST || "127.0.0.1";
+const HTTP_PORT = parseInt(
+  cliOption("port") || process.env.HTTP_PORT || "3000"
+);
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const HTTP_MAX_BODY_SIZE = process.env.HTTP_MAX_BODY_SIZE || "20mb";
+// Idle time in ms after which a Streamable HTTP session is closed
+const HTTP_SESSION_TIMEOUT = parseInt(
+  process.env.HTTP_SESSION_TIMEOUT || String(30 * 60 * 1000)
+);
+// JSON file of client API keys and limits; HTTP mode requires a key when set
+const CLIENTS_PATH = process.env.CLIENTS_PATH
+  ? path.resolve(process.env.CLIENTS_PATH)
+  : undefined;
+// Default limits of clients; unset means unlimited
+const CLIENT_RATE_LIMIT = process.env.CLIENT_RATE_LIMIT
+  ? parseInt(process.env.CLIENT_RATE_LIMIT)
+  : undefined;
+const CLIENT_DAILY_IMAGES = process.env.CLIENT_DAILY_IMAGES
+  ? parseInt(process.env.CLIENT_DAILY_IMAGES)
+  : undefined;
+const CLIENT_DAILY_CREDITS = process.env.CLIENT_DAILY_CREDITS
+  ? parseFloat(process.env.CLIENT_DAILY_CREDITS)
+  : undefined;
+const PRESETS_PATH = path.resolve(
+  process.env.PRESETS_PATH || path.join(IMAGE_STORAGE_PATH, "presets.json")
+);
+// Number of images per resources/list page
+const RESOURCES_PAGE_SIZE = 100;
+
+// Identifies this server process in session subfolders
+const SESSION_ID = `session_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+
+// Replicate prediction polling interval
+const POLL_INTERVAL = 1000;
 
 let replicate: Replicate | null = null;
 
+// Authenticated clients of the HTTP server, when CLIENTS_PATH is set
+let clients: ClientRegistry | undefined;
+
+// Listening HTTP server, in HTTP mode
+let httpServer: HttpServer | undefined;
+let shuttingDown = false;
+
+// Replicate clients for the clients that bring their own token, by token
+const clientReplicates = new Map<string, Replicate>();
+
 // Enhanced logging
 function log(level: string, message: string, data?: any) {
   const timestamp = new Date().toISOString();
@@ -83,91 +322,461 @@ if (!REPLICATE_API_TOKEN) {
     logLevel: LOG_LEVEL,
     maxConcurrentRequests: MAX_CONCURRENT_REQUESTS,
     requestTimeout: REQUEST_TIMEOUT,
+    maxQueueLength: MAX_QUEUE_LENGTH,
+    queueTimeout: QUEUE_TIMEOUT,
+    maxRetries: MAX_RETRIES,
+    retryBaseDelay: RETRY_BASE_DELAY,
+    imageStoragePath: IMAGE_STORAGE_PATH,
+    imageStorageLayout: IMAGE_STORAGE_LAYOUT,
+    storageBackend: STORAGE_BACKEND,
+    imageInputEncoding: IMAGE_INPUT_ENCODING,
+    imageInputMaxBytes: IMAGE_INPUT_MAX_BYTES,
+    downloadTimeout: DOWNLOAD_TIMEOUT,
+    maxDownloadBytes: MAX_DOWNLOAD_BYTES,
+    downloadConcurrency: DOWNLOAD_CONCURRENCY,
+    costPerImage: COST_PER_IMAGE,
+    enableCaching: ENABLE_CACHING,
+    cacheTtl: CACHE_TTL,
+    cacheMaxEntries: CACHE_MAX_ENTRIES,
+    imageMetadata: IMAGE_METADATA,
+    historyPath: HISTORY_PATH,
+    presetsPath: PRESETS_PATH,
+    transport: MCP_TRANSPORT,
+    httpHost: HTTP_HOST,
+    httpPort: HTTP_PORT,
+    corsOrigins: CORS_ORIGINS,
+    clientsPath: CLIENTS_PATH,
+    clientRateLimit: CLIENT_RATE_LIMIT,
+    clientDailyImages: CLIENT_DAILY_IMAGES,
+    clientDailyCredits: CLIENT_DAILY_CREDITS,
+    modelVersions: MODEL_VERSIONS,
   });
 }
 
-// Valid sizes for SeedDream 4.0 via Replicate
-const VALID_SIZES = ["1K", "2K", "4K", "custom"] as const;
-type Size = (typeof VALID_SIZES)[number];
+/**
+ * Create the storage backend selected by STORAGE_BACKEND
+ */
+function createStorage(): StorageBackend {
+  if (STORAGE_BACKEND === "s3") {
+    if (process.env.S3_BUCKET) {
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        publicUrl: process.env.S3_PUBLIC_URL,
+      });
+    }
+    log("error", "STORAGE_BACKEND=s3 requires S3_BUCKET, using local storage");
+  } else if (STORAGE_BACKEND !== "local") {
+    log(
+      "warn",
+      `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}", using local storage`
+    );
+  }
+  return new LocalStorage(IMAGE_STORAGE_PATH);
+}
+
+if (!VALID_STORAGE_LAYOUTS.includes(IMAGE_STORAGE_LAYOUT)) {
+  log(
+    "warn",
+    `Unknown IMAGE_STORAGE_LAYOUT "${IMAGE_STORAGE_LAYOUT}", saving images without subfolders`
+  );
+}
+
+const storage = createStorage();
+
+// Downloads are staged here before being moved or uploaded into storage
+const STAGING_DIR = path.join(IMAGE_STORAGE_PATH, ".staging");
+
+// Limits applied to every image download
+const downloadOptions: DownloadOptions = {
+  timeout: DOWNLOAD_TIMEOUT,
+  maxBytes: MAX_DOWNLOAD_BYTES,
+  maxRedirects: DOWNLOAD_MAX_REDIRECTS,
+};
+
+if (!VALID_IMAGE_METADATA_MODES.includes(IMAGE_METADATA)) {
+  log(
+    "warn",
+    `Unknown IMAGE_METADATA "${IMAGE_METADATA}", falling back to sidecar`
+  );
+}
+
+// Where provenance metadata of saved images is written
+const imageMetadataMode: ImageMetadataMode =
+  VALID_IMAGE_METADATA_MODES.includes(IMAGE_METADATA)
+    ? IMAGE_METADATA
+    : "sidecar";
+
+if (!VALID_IMAGE_INPUT_ENCODINGS.includes(IMAGE_INPUT_ENCODING)) {
+  log(
+    "warn",
+    `Unknown IMAGE_INPUT_ENCODING "${IMAGE_INPUT_ENCODING}", falling back to auto`
+  );
+}
 
-// Valid aspect ratios for SeedDream 4.0 via Replicate
-const VALID_ASPECT_RATIOS = [
-  "1:1",
-  "3:4",
-  "4:3",
-  "16:9",
-  "9:16",
-  "2:3",
-  "3:2",
-  "21:9",
-  "match_input_image",
-] as const;
-type AspectRatio = (typeof VALID_ASPECT_RATIOS)[number];
+/**
+ * Upload a local image input to Replicate's file storage with the given client
+ */
+function uploader(api: Replicate): ImageInputOptions["upload"] {
+  return async (data, filename, mimeType) => {
+    const { value: file } = await withRetry(
+      () => api.files.create(new File([data], filename, { type: mimeType })),
+      retryOptions
+    );
+    log("debug", `Uploaded ${filename} to Replicate: ${file.urls.get}`);
+    return file.urls.get;
+  };
+}
 
-// Valid sequential generation modes
-const VALID_SEQUENTIAL_MODES = ["disabled", "auto"] as const;
-type SequentialMode = (typeof VALID_SEQUENTIAL_MODES)[number];
+// Local image_input files and data URIs are validated, then inlined or uploaded
+const imageInputOptions: ImageInputOptions = {
+  encoding: VALID_IMAGE_INPUT_ENCODINGS.includes(IMAGE_INPUT_ENCODING)
+    ? IMAGE_INPUT_ENCODING
+    : "auto",
+  maxBytes: IMAGE_INPUT_MAX_BYTES,
+  inlineThreshold: IMAGE_INPUT_INLINE_THRESHOLD,
+  searchPaths: [process.cwd(), IMAGE_STORAGE_PATH],
+  // Remote clients may only use images from the storage folder
+  rootDir: MCP_TRANSPORT === "http" ? IMAGE_STORAGE_PATH : undefined,
+  upload: (data, filename, mimeType) =>
+    uploader(replicate!)(data, filename, mimeType),
+};
+
+// Pin model versions for reproducible results
+for (const entry of MODEL_VERSIONS.split(",")) {
+  if (!entry.trim()) {
+    continue;
+  }
+  const [key, version] = entry.split("=").map((part) => part.trim());
+  const model = MODELS.find((candidate) => candidate.key === key);
+  if (!model || !version) {
+    log(
+      "warn",
+      `Ignoring MODEL_VERSIONS entry "${entry.trim()}": expected <model>=<version> with one of the models ${MODELS.map(
+        (candidate) => candidate.key
+      ).join(", ")}`
+    );
+    continue;
+  }
+  model.version = version;
+  log("debug", `Pinned ${model.replicateId} to version ${version}`);
+}
 
 /**
- * Interface for SeedDream 4.0 generation parameters via Replicate
+ * Human-readable description of where images are stored
  */
-interface SeedDream4Params {
-  prompt: string;
-  size?: Size;
+function describeStorage(): string {
+  if (storage instanceof S3Storage) {
+    return `the S3 bucket "${process.env.S3_BUCKET}"`;
+  }
+  return `'${IMAGE_STORAGE_PATH}'`;
+}
+
+// Limit generations in flight; excess calls wait in a FIFO queue
+const scheduler = new RequestScheduler({
+  maxConcurrent: MAX_CONCURRENT_REQUESTS,
+  maxQueueLength: MAX_QUEUE_LENGTH,
+  queueTimeout: QUEUE_TIMEOUT,
+});
+
+// Tool calls in flight, drained on shutdown
+const calls = new CallTracker();
+
+// Retry transient Replicate and download failures with jittered exponential backoff
+const retryOptions: RetryOptions = {
+  maxRetries: MAX_RETRIES,
+  baseDelay: RETRY_BASE_DELAY,
+  maxDelay: RETRY_MAX_DELAY,
+  onRetry: (error, attempt, delay) => {
+    log(
+      "warn",
+      `${error.category} error, retrying in ${delay}ms (attempt ${attempt}/${MAX_RETRIES}): ${error.message}`
+    );
+  },
+};
+
+// Creating a prediction isn't idempotent: a retried request that had reached
+// Replicate could start a second, billed prediction. Only rate-limited
+// requests and those that were never sent are retried.
+const createRetryOptions: RetryOptions = {
+  ...retryOptions,
+  retryIf: (error) =>
+    error.category === "rate_limit" || isUnsentRequestError(error),
+};
+
+// Troubleshooting tips shown when a generation fails, by error category
+const ERROR_TIPS: Partial<Record<ErrorCategory, string>> = {
+  auth: "Check your REPLICATE_API_TOKEN is valid and has sufficient credits.",
+  rate_limit:
+    "You've hit the rate limit. Please wait a moment before trying again.",
+  validation: "Check your input parameters are within valid ranges.",
+  model_failure:
+    "The model could not generate this request. Try rephrasing or simplifying the prompt.",
+  network:
+    "Replicate could not be reached. Check your internet connection and Replicate's status page.",
+  download:
+    "The images were generated but could not be downloaded. They may still be available at their Replicate URLs.",
+  canceled:
+    "The generation was stopped before it finished. For generations that may outlast REQUEST_TIMEOUT, pass async: true and poll get_generation_status.",
+};
+
+/**
+ * Validated arguments of a generation tool: the model input plus the options
+ * handled by the server
+ */
+interface GenerationParams extends ModelInput {
+  output_format?: OutputFormat;
+  async?: boolean;
+  dry_run?: boolean;
+  bypass_cache?: boolean;
+  lenient?: boolean;
+  return_images?: ReturnImageMode;
+  response_format?: ResponseFormat;
+}
+
+/**
+ * An image downloaded into storage, with its checksum and pixel dimensions
+ */
+interface DownloadResult {
+  stored: StoredObject;
+  sha256: string;
   width?: number;
   height?: number;
-  max_images?: number;
-  image_input?: string[];
-  aspect_ratio?: AspectRatio;
-  sequential_image_generation?: SequentialMode;
 }
 
 /**
- * Download an image from a URL and save it locally
+ * A generated image and where it was stored (unset if the download failed)
  */
-async function downloadImage(url: string, filename: string): Promise<string> {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const client = parsedUrl.protocol === "https:" ? https : http;
+interface DownloadedImage extends Partial<DownloadResult> {
+  url: string;
+  index: number;
+  retries?: number;
+  error?: string;
+}
 
-    // Create images directory if it doesn't exist
-    const imagesDir = path.join(process.cwd(), "images");
-    if (!fs.existsSync(imagesDir)) {
-      fs.mkdirSync(imagesDir, { recursive: true });
-    }
+/**
+ * A generation job backed by a Replicate prediction
+ */
+interface GenerationJob {
+  id: string;
+  model: ModelDefinition;
+  prompt: string;
+  input: ModelInput;
+  status: Prediction["status"];
+  // Replicate model version the prediction ran on
+  version?: string;
+  // Format images are converted to before saving
+  outputFormat?: OutputFormat;
+  // Result cache key of the request that created the job
+  cacheKey?: string;
+  // Storage keys to save the images under, by output index, without extension;
+  // generated names are used for any others
+  imageKeys?: string[];
+  // Name of the authenticated client that started the job
+  clientName?: string;
+  // Images held against the client's daily quota until the job finishes
+  reservedImages?: number;
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  generationTime?: number;
+  // Model run time reported by Replicate, in ms
+  predictTime?: number;
+  queueWaitTime?: number;
+  downloadTime?: number;
+  images?: DownloadedImage[];
+  error?: string;
+  errorCategory?: ErrorCategory;
+  retries: number;
+}
 
-    const filePath = path.join(imagesDir, filename);
-    const file = fs.createWriteStream(filePath);
+// Jobs created or looked up during this server session, keyed by prediction ID
+const jobs = new Map<string, GenerationJob>();
 
-    client
-      .get(url, (response) => {
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download image: ${response.statusCode}`));
-          return;
-        }
+// Jobs a generation tool call is waiting on or downloading, recorded if a
+// shutdown cuts the call short
+const inFlightJobs = new Set<GenerationJob>();
 
-        response.pipe(file);
+// Latest versions of unpinned, unofficial models, looked up once per session
+const latestVersions = new Map<string, string>();
 
-        file.on("finish", () => {
-          file.close();
-          resolve(filePath);
-        });
+// Every generate_image call, persisted across sessions
+const history = new HistoryStore(HISTORY_PATH);
 
-        file.on("error", (err) => {
-          fs.unlink(filePath, () => {}); // Delete the file on error
-          reject(err);
-        });
-      })
-      .on("error", (err) => {
-        reject(err);
-      });
+// Named prompt templates and default arguments, shared through a file
+const presets = new PresetStore(PRESETS_PATH);
+
+// IDs of succeeded jobs, keyed by the hash of the request that produced them
+const resultCache = new ResultCache<string>({
+  ttl: CACHE_TTL * 1000,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+/**
+ * Save the JSON sidecar of a stored image next to it
+ */
+async function saveSidecar(
+  key: string,
+  metadata: ImageMetadata,
+  result: DownloadResult
+): Promise<void> {
+  const sidecarPath = path.join(STAGING_DIR, randomUUID());
+  const sidecar = {
+    ...metadata,
+    image: {
+      key: result.stored.key,
+      location: result.stored.location,
+      bytes: result.stored.bytes,
+      width: result.width ?? null,
+      height: result.height ?? null,
+      sha256: result.sha256,
+    },
+  };
+  await writeFile(sidecarPath, JSON.stringify(sidecar, null, 2) + "\n");
+
+  try {
+    await storage.save(sidecarKey(key), sidecarPath, "application/json");
+  } catch (error) {
+    fs.unlink(sidecarPath, () => {});
+    throw error;
+  }
+}
+
+/**
+ * Download an image from a URL and save it to storage, with its metadata
+ *
+ * The file extension is appended to baseKey from the image's actual format, which
+ * is sniffed from its bytes rather than trusted from the Content-Type header.
+ */
+async function downloadImage(
+  url: string,
+  baseKey: string,
+  metadata: ImageMetadata,
+  outputFormat?: OutputFormat,
+  signal?: AbortSignal
+): Promise<DownloadResult> {
+  // Create staging directory if it doesn't exist
+  if (!fs.existsSync(STAGING_DIR)) {
+    fs.mkdirSync(STAGING_DIR, { recursive: true });
+  }
+  const filePath = path.join(STAGING_DIR, randomUUID());
+
+  const { contentType } = await downloadFile(url, filePath, {
+    ...downloadOptions,
+    signal,
   });
+
+  let data = await readFile(filePath);
+  const sniffed = sniffImageFormat(data);
+  if (!sniffed) {
+    fs.unlink(filePath, () => {});
+    throw new GenerationError(
+      "download",
+      `Downloaded file is not a JPEG, PNG, WebP or GIF image (Content-Type: ${
+        contentType || "none"
+      })`
+    );
+  }
+  if (formatFromMimeType(contentType) !== sniffed) {
+    log(
+      "warn",
+      `Image at ${url} was served as ${
+        contentType || "no Content-Type"
+      } but is ${IMAGE_FORMATS[sniffed].mimeType}`
+    );
+  }
+
+  let format: ImageFormat = sniffed;
+  let modified = false;
+  if (outputFormat && outputFormat !== sniffed) {
+    try {
+      data = await convertImage(data, outputFormat);
+      format = outputFormat;
+      modified = true;
+    } catch (error) {
+      fs.unlink(filePath, () => {});
+      throw new GenerationError(
+        "download",
+        `Failed to convert image to ${outputFormat}: ${
+          error instanceof Error ? error.message : error
+        }`,
+        { cause: error }
+      );
+    }
+  }
+  const key = `${baseKey}.${IMAGE_FORMATS[format].extension}`;
+
+  if (imageMetadataMode === "embed" || imageMetadataMode === "both") {
+    try {
+      const embedded = embedMetadata(data, metadata);
+      if (embedded) {
+        data = embedded;
+        modified = true;
+      } else {
+        log("debug", `Cannot embed metadata in ${key}, unsupported format`);
+      }
+    } catch (error) {
+      log(
+        "warn",
+        `Failed to embed metadata in ${key}: ${
+          error instanceof Error ? error.message : error
+        }`
+      );
+    }
+  }
+
+  if (modified) {
+    await writeFile(filePath, data);
+  }
+  const sha256 = createHash("sha256").update(data).digest("hex");
+  const { width, height } = await sharp(data)
+    .metadata()
+    .catch(() => ({ width: undefined, height: undefined }));
+
+  let result: DownloadResult;
+  try {
+    const stored = await storage.save(
+      key,
+      filePath,
+      IMAGE_FORMATS[format].mimeType
+    );
+    result = { stored, sha256, width, height };
+  } catch (error) {
+    fs.unlink(filePath, () => {});
+    throw new GenerationError(
+      "download",
+      `Failed to store image: ${
+        error instanceof Error ? error.message : error
+      }`,
+      { retryable: isNetworkError(error), cause: error }
+    );
+  }
+
+  // A missing sidecar shouldn't fail an image that was stored
+  if (imageMetadataMode === "sidecar" || imageMetadataMode === "both") {
+    await saveSidecar(key, metadata, result).catch((error) =>
+      log(
+        "warn",
+        `Failed to save metadata sidecar for ${key}: ${
+          error instanceof Error ? error.message : error
+        }`
+      )
+    );
+  }
+
+  return result;
 }
 
 /**
- * Generate a unique filename for an image
+ * Generate a unique filename for an image, without its extension
  */
 function generateImageFilename(
+  model: ModelDefinition,
   prompt: string,
   index: number,
   timestamp?: string
@@ -180,415 +789,2642 @@ function generateImageFilename(
     .substring(0, 50);
 
   const timeStr = timestamp || new Date().toISOString().replace(/[:.]/g, "-");
-  return `seedream4_${safePrompt}_${index}_${timeStr}.jpg`;
+  // e.g. "seedream4" for the seedream-4 model
+  const prefix = model.key.replace(/[^a-z0-9]/g, "");
+  return `${prefix}_${safePrompt}_${index}_${timeStr}`;
 }
 
 /**
- * Create an MCP server with image generation capabilities
+ * Whether a prediction has reached a final state
  */
-const server = new Server(
-  {
-    name: "seedream4-replicate-server",
-    version: "0.2.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+function isTerminalStatus(status: Prediction["status"]): boolean {
+  return status === "succeeded" || status === "failed" || status === "canceled";
+}
 
 /**
- * Handler that lists available tools for image generation
+ * Resolve the version a model runs at: its pinned version, none for official
+ * models (Replicate runs their latest), or the latest version of other models
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "generate_image",
-        description:
-          "Generate images using Bytedance's SeedDream 4.0 model via Replicate. Supports bilingual prompts (Chinese and English), high-resolution output up to 4K, image-to-image generation, and sequential image generation.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            prompt: {
-              type: "string",
-              description:
-                "The text prompt used to generate the image. Supports both English and Chinese. Be descriptive for best results.",
-            },
-            size: {
-              type: "string",
-              enum: VALID_SIZES,
-              description:
-                "Image resolution: 1K (1024px), 2K (2048px), 4K (4096px), or 'custom' for specific dimensions.",
-              default: "2K",
-            },
-            width: {
-              type: "integer",
-              description:
-                "Custom image width (only used when size='custom'). Range: 1024-4096 pixels.",
-              minimum: 1024,
-              maximum: 4096,
-              default: 2048,
-            },
-            height: {
-              type: "integer",
-              description:
-                "Custom image height (only used when size='custom'). Range: 1024-4096 pixels.",
-              minimum: 1024,
-              maximum: 4096,
-              default: 2048,
-            },
-            max_images: {
-              type: "integer",
-              description:
-                "Maximum number of images to generate when sequential_image_generation='auto'. Range: 1-15. Total images (input + generated) cannot exceed 15.",
-              minimum: 1,
-              maximum: 15,
-              default: 1,
-            },
-            image_input: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              description:
-                "Input image URLs for image-to-image generation. List of 1-10 images for single or multi-reference generation.",
-              maxItems: 10,
-              default: [],
-            },
-            aspect_ratio: {
-              type: "string",
-              enum: VALID_ASPECT_RATIOS,
-              description:
-                "Image aspect ratio. Only used when size is not 'custom'. Use 'match_input_image' to automatically match the input image's aspect ratio.",
-              default: "match_input_image",
-            },
-            sequential_image_generation: {
-              type: "string",
-              enum: VALID_SEQUENTIAL_MODES,
-              description:
-                "Group image generation mode. 'disabled' generates a single image. 'auto' lets the model decide whether to generate multiple related images (e.g., story scenes, character variations).",
-              default: "disabled",
-            },
-          },
-          required: ["prompt"],
-        },
-      },
-    ],
-  };
-});
+async function modelVersion(
+  model: ModelDefinition,
+  api: Replicate
+): Promise<string | undefined> {
+  if (model.version || model.official) {
+    return model.version;
+  }
+
+  let version = latestVersions.get(model.key);
+  if (!version) {
+    const [owner, name] = model.replicateId.split("/");
+    const { value: info } = await withRetry(
+      () => api.models.get(owner, name),
+      retryOptions
+    );
+    if (!info.latest_version) {
+      throw new GenerationError(
+        "model_failure",
+        `${model.replicateId} has no published version to run`
+      );
+    }
+    version = info.latest_version.id;
+    latestVersions.set(model.key, version);
+  }
+  return version;
+}
 
 /**
- * Handler for tool execution
+ * The registered model a prediction ran
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  switch (request.params.name) {
-    case "generate_image": {
-      try {
-        if (!replicate) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: REPLICATE_API_TOKEN environment variable is not set. Please configure your Replicate API token.",
-              },
-            ],
-            isError: true,
-          };
-        }
+function predictionModel(prediction: Prediction): ModelDefinition {
+  const model = modelForReplicateId(prediction.model);
+  if (!model) {
+    throw new GenerationError(
+      "validation",
+      `Job ${prediction.id} ran ${prediction.model}, which is not one of the supported models`
+    );
+  }
+  return model;
+}
 
-        const params = (request.params.arguments ||
-          {}) as unknown as SeedDream4Params;
+/**
+ * Get the tracked job for a prediction, registering it if this session hasn't seen it yet
+ */
+function trackPrediction(
+  prediction: Prediction,
+  model?: ModelDefinition
+): GenerationJob {
+  let job = jobs.get(prediction.id);
+  if (!job) {
+    const input = prediction.input as ModelInput;
+    job = {
+      id: prediction.id,
+      model: model || predictionModel(prediction),
+      prompt: typeof input.prompt === "string" ? input.prompt : "",
+      input,
+      status: prediction.status,
+      // Jobs from earlier sessions keep the client recorded in the history
+      clientName: history.get(prediction.id)?.client ?? undefined,
+      createdAt: prediction.created_at || new Date().toISOString(),
+      retries: 0,
+    };
+    jobs.set(prediction.id, job);
+  }
 
-        if (!params.prompt || typeof params.prompt !== "string") {
-          throw new Error("Prompt is required and must be a string");
-        }
+  job.status = prediction.status;
+  if (prediction.version) {
+    job.version = prediction.version;
+  }
+  if (prediction.started_at) {
+    job.startedAt = prediction.started_at;
+  }
+  if (prediction.metrics?.predict_time !== undefined) {
+    job.predictTime = Math.round(prediction.metrics.predict_time * 1000);
+  }
+  if (prediction.completed_at) {
+    job.completedAt = prediction.completed_at;
+    job.generationTime =
+      Date.parse(prediction.completed_at) - Date.parse(job.createdAt);
+  }
+  if (prediction.status === "failed") {
+    job.error = String(prediction.error || "Prediction failed");
+    job.errorCategory = "model_failure";
+  }
+  if (isTerminalStatus(prediction.status)) {
+    settleReservation(job, generatedCount(prediction));
+  }
 
-        // Validate size if provided
-        if (params.size && !VALID_SIZES.includes(params.size)) {
-          throw new Error(
-            `Invalid size. Must be one of: ${VALID_SIZES.join(", ")}`
-          );
-        }
+  return job;
+}
 
-        // Validate aspect ratio if provided
-        if (
-          params.aspect_ratio &&
-          !VALID_ASPECT_RATIOS.includes(params.aspect_ratio)
-        ) {
-          throw new Error(
-            `Invalid aspect ratio. Must be one of: ${VALID_ASPECT_RATIOS.join(
-              ", "
-            )}`
-          );
-        }
+/**
+ * Number of images a finished prediction generated
+ */
+function generatedCount(prediction: Prediction): number {
+  const output = prediction.output;
+  if (prediction.status !== "succeeded" || !output) {
+    return 0;
+  }
+  return Array.isArray(output) ? output.length : 1;
+}
 
-        // Validate sequential mode if provided
-        if (
-          params.sequential_image_generation &&
-          !VALID_SEQUENTIAL_MODES.includes(params.sequential_image_generation)
-        ) {
-          throw new Error(
-            `Invalid sequential mode. Must be one of: ${VALID_SEQUENTIAL_MODES.join(
-              ", "
-            )}`
-          );
-        }
+/**
+ * Give back the part of a finished job's quota reservation that it didn't
+ * generate
+ */
+function settleReservation(job: GenerationJob, generated: number): void {
+  const client = job.clientName ? clients?.get(job.clientName) : undefined;
+  if (!job.reservedImages || !client) {
+    return;
+  }
+  const unused = job.reservedImages - generated;
+  job.reservedImages = undefined;
+  clients!
+    .releaseImages(client, unused)
+    .catch((error) =>
+      log(
+        "warn",
+        `Failed to release quota of job ${job.id}: ${
+          error instanceof Error ? error.message : error
+        }`
+      )
+    );
+}
 
-        // Validate max_images
-        if (
-          params.max_images &&
-          (params.max_images < 1 || params.max_images > 15)
-        ) {
-          throw new Error("max_images must be between 1 and 15");
-        }
+/**
+ * Download the outputs of a succeeded prediction once and attach them to its job
+ *
+ * Aborting `signal` stops the downloads and removes the images already stored,
+ * marking the job canceled.
+ */
+async function finalizeJob(
+  job: GenerationJob,
+  prediction: Prediction,
+  {
+    progress,
+    signal,
+  }: { progress?: ProgressReporter; signal?: AbortSignal } = {}
+): Promise<void> {
+  if (prediction.status !== "succeeded" || job.images) {
+    return;
+  }
+  // Downloads canceled before are tried again
+  if (job.errorCategory === "canceled") {
+    job.error = undefined;
+    job.errorCategory = undefined;
+  }
 
-        // Validate image_input array
-        if (params.image_input && params.image_input.length > 10) {
-          throw new Error("image_input can contain at most 10 images");
-        }
+  const output = (
+    job.model.output === "image" && prediction.output
+      ? [prediction.output]
+      : prediction.output
+  ) as string[] | undefined;
+  if (!output || !Array.isArray(output) || output.length === 0) {
+    throw new GenerationError(
+      "model_failure",
+      "No images were generated - empty response from Replicate"
+    );
+  }
 
-        // Validate custom dimensions
-        if (params.size === "custom") {
-          if (params.width && (params.width < 1024 || params.width > 4096)) {
-            throw new Error(
-              "width must be between 1024 and 4096 when using custom size"
-            );
-          }
-          if (params.height && (params.height < 1024 || params.height > 4096)) {
-            throw new Error(
-              "height must be between 1024 and 4096 when using custom size"
-            );
-          }
-        }
+  // Download images into storage
+  log("debug", `Downloading ${output.length} image(s) to storage...`);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const folder = storageFolder(IMAGE_STORAGE_LAYOUT, SESSION_ID);
+  const downloadStart = Date.now();
+  let downloaded = 0;
+  await progress?.downloaded(0, output.length);
+
+  // Download the outputs in parallel, a few at a time
+  const downloads = await mapWithConcurrency(
+    output,
+    DOWNLOAD_CONCURRENCY,
+    async (imageUrl, i): Promise<DownloadedImage | undefined> => {
+      if (
+        !imageUrl ||
+        typeof imageUrl !== "string" ||
+        !imageUrl.startsWith("http")
+      ) {
+        log("warn", `Invalid image URL at index ${i}: ${imageUrl}`);
+        return undefined;
+      }
 
-        // Prepare the input payload for Replicate
-        const input: any = {
-          prompt: params.prompt,
-          size: params.size || "2K",
-          max_images: params.max_images || 1,
-          image_input: params.image_input || [],
-          aspect_ratio: params.aspect_ratio || "match_input_image",
-          sequential_image_generation:
-            params.sequential_image_generation || "disabled",
+      try {
+        const filename = generateImageFilename(
+          job.model,
+          job.prompt,
+          i,
+          timestamp
+        );
+        const baseKey = job.imageKeys?.[i] ?? path.posix.join(folder, filename);
+        const metadata: ImageMetadata = {
+          prompt: job.prompt,
+          parameters: jobParameters(job),
+          model: job.model.replicateId,
+          modelVersion: job.version ?? null,
+          predictionId: job.id,
+          imageIndex: i,
+          sourceUrl: imageUrl,
+          createdAt: job.createdAt,
         };
+        const { value: result, retries } = await withRetry(
+          () =>
+            downloadImage(
+              imageUrl,
+              baseKey,
+              metadata,
+              job.outputFormat,
+              signal
+            ),
+          { ...retryOptions, signal }
+        );
+        log(
+          "info",
+          `Image ${i + 1} saved successfully: ${result.stored.location}`
+        );
+        return { url: imageUrl, index: i, retries, ...result };
+      } catch (downloadError) {
+        log(
+          "warn",
+          `Failed to download image ${i + 1}: ${
+            downloadError instanceof Error
+              ? downloadError.message
+              : "Unknown error"
+          }`
+        );
+        return {
+          url: imageUrl,
+          index: i,
+          retries:
+            downloadError instanceof GenerationError
+              ? downloadError.retries
+              : 0,
+          error:
+            downloadError instanceof Error
+              ? downloadError.message
+              : "Unknown error",
+        };
+      } finally {
+        await progress?.downloaded(++downloaded, output.length);
+      }
+    }
+  );
 
-        // Add custom dimensions if using custom size
-        if (params.size === "custom") {
-          input.width = params.width || 2048;
-          input.height = params.height || 2048;
-        }
-
-        log("info", `Generating image(s) with prompt: "${params.prompt}"`);
-        log("debug", "Generation parameters", input);
-
-        const startTime = Date.now();
-
-        try {
-          // Call the SeedDream 4.0 model on Replicate with timeout
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(
-              () => reject(new Error("Request timeout")),
-              REQUEST_TIMEOUT
-            );
-          });
+  const images = downloads.filter(
+    (img): img is DownloadedImage => img !== undefined
+  );
 
-          const generationPromise = replicate.run("bytedance/seedream-4", {
-            input,
-          }) as Promise<string[]>;
+  if (signal?.aborted) {
+    await removeStoredImages(images);
+    job.status = "canceled";
+    job.error = "Generation canceled while its images were downloading";
+    job.errorCategory = "canceled";
+    throw new GenerationError("canceled", job.error);
+  }
 
-          const output = (await Promise.race([
-            generationPromise,
-            timeoutPromise,
-          ])) as string[];
+  job.images = images;
+  job.downloadTime = Date.now() - downloadStart;
+}
 
-          const generationTime = Date.now() - startTime;
-          log("info", `Image(s) generated successfully in ${generationTime}ms`);
+/**
+ * Remove stored images and their sidecars, e.g. those of a canceled generation
+ */
+async function removeStoredImages(images: DownloadedImage[]): Promise<void> {
+  for (const image of images) {
+    if (!image.stored) {
+      continue;
+    }
+    for (const key of [image.stored.key, sidecarKey(image.stored.key)]) {
+      await storage
+        .delete(key)
+        .catch((error) =>
+          log(
+            "warn",
+            `Failed to remove ${key}: ${
+              error instanceof Error ? error.message : error
+            }`
+          )
+        );
+    }
+  }
+}
 
-          if (!output || !Array.isArray(output) || output.length === 0) {
-            throw new Error(
-              "No images were generated - empty response from Replicate"
-            );
-          }
+/**
+ * Format the summary of a succeeded job
+ */
+function formatJobResult(job: GenerationJob): string {
+  const images = job.images || [];
+  const input = job.input;
+
+  const imageDetails = images
+    .map((img) => {
+      const retryNote = img.retries ? ` [${img.retries} retries]` : "";
+      if (img.stored) {
+        return `• Image ${img.index + 1}: ${img.stored.location} (${
+          img.url
+        })${retryNote}\n  Resource: ${resourceUri(img.stored.key)}`;
+      } else {
+        return `• Image ${img.index + 1}: Download failed - ${
+          img.url
+        }${retryNote}`;
+      }
+    })
+    .join("\n");
 
-          // Download images locally
-          log("debug", `Downloading ${output.length} image(s) locally...`);
-          const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-          const downloadedImages: {
-            url: string;
-            localPath: string;
-            index: number;
-          }[] = [];
-
-          for (let i = 0; i < output.length; i++) {
-            const imageUrl = output[i];
-            if (
-              !imageUrl ||
-              typeof imageUrl !== "string" ||
-              !imageUrl.startsWith("http")
-            ) {
-              log("warn", `Invalid image URL at index ${i}: ${imageUrl}`);
-              continue;
-            }
+  const successfulDownloads = images.filter((img) => img.stored).length;
 
-            try {
-              const filename = generateImageFilename(
-                params.prompt,
-                i,
-                timestamp
-              );
-              const localPath = await downloadImage(imageUrl, filename);
-              downloadedImages.push({ url: imageUrl, localPath, index: i });
-              log(
-                "info",
-                `Image ${i + 1} downloaded successfully: ${filename}`
-              );
-            } catch (downloadError) {
-              log(
-                "warn",
-                `Failed to download image ${i + 1}: ${
-                  downloadError instanceof Error
-                    ? downloadError.message
-                    : "Unknown error"
-                }`
-              );
-              downloadedImages.push({ url: imageUrl, localPath: "", index: i });
-            }
-          }
+  const details = [
+    ...(job.prompt ? [`Prompt: "${job.prompt}"`] : []),
+    ...describeModelInput(job.model, input),
+    `Output Format: ${job.outputFormat || "as generated"}`,
+    `Input Images: ${imageReferences(job.model, input).length}`,
+  ];
 
-          // Format response
-          const imageDetails = downloadedImages
-            .map((img) => {
-              if (img.localPath) {
-                return `• Image ${img.index + 1}: ${img.localPath} (${
-                  img.url
-                })`;
-              } else {
-                return `• Image ${img.index + 1}: Download failed - ${img.url}`;
-              }
-            })
-            .join("\n");
-
-          const successfulDownloads = downloadedImages.filter(
-            (img) => img.localPath
-          ).length;
-
-          return {
-            content: [
-              {
-                type: "text",
-                text: `✅ Successfully generated ${
-                  output.length
-                } image(s) using SeedDream 4.0:
+  return `✅ Successfully generated ${images.length} image(s) using ${
+    job.model.name
+  }:
 
 📝 **Generation Details:**
-• Prompt: "${params.prompt}"
-• Size: ${input.size}${
-                  input.size === "custom"
-                    ? ` (${input.width}x${input.height})`
-                    : ""
-                }
-• Aspect Ratio: ${input.aspect_ratio}
-• Max Images: ${input.max_images}
-• Sequential Generation: ${input.sequential_image_generation}
-• Input Images: ${input.image_input.length}
-• Generation Time: ${generationTime}ms
+• Job ID: ${job.id}
+${details.map((line) => `• ${line}`).join("\n")}
+• Generation Time: ${
+    job.generationTime !== undefined ? `${job.generationTime}ms` : "unknown"
+  }
+• API Retries: ${job.retries}
 
 🖼️ **Generated Images (${
-                  output.length
-                } total, ${successfulDownloads} downloaded):**
+    images.length
+  } total, ${successfulDownloads} downloaded):**
 ${imageDetails}
 
 💾 ${
-                  successfulDownloads > 0
-                    ? "Images have been downloaded to the local 'images' directory."
-                    : "Images are available at the URLs above."
-                }`,
-              },
-            ],
-          };
-        } catch (apiError) {
-          const errorMessage =
-            apiError instanceof Error ? apiError.message : "Unknown API error";
-          log("error", `Replicate API error: ${errorMessage}`);
-
-          // Provide helpful error messages based on common issues
-          let helpfulMessage = "";
-          if (errorMessage.includes("timeout")) {
-            helpfulMessage =
-              "\n💡 **Tip:** Try a simpler prompt or increase the timeout setting.";
-          } else if (
-            errorMessage.includes("authentication") ||
-            errorMessage.includes("unauthorized")
-          ) {
-            helpfulMessage =
-              "\n💡 **Tip:** Check your REPLICATE_API_TOKEN is valid and has sufficient credits.";
-          } else if (errorMessage.includes("rate limit")) {
-            helpfulMessage =
-              "\n💡 **Tip:** You've hit the rate limit. Please wait a moment before trying again.";
-          } else if (errorMessage.includes("input validation")) {
-            helpfulMessage =
-              "\n💡 **Tip:** Check your input parameters are within valid ranges.";
-          }
-
-          throw new Error(
-            `Failed to generate image(s): ${errorMessage}${helpfulMessage}`
-          );
-        }
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : "Unknown error occurred";
-        log("error", `Image generation failed: ${errorMessage}`);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: `❌ **Error generating image(s):**
+    successfulDownloads > 0
+      ? `Images have been saved to ${describeStorage()}.`
+      : "Images are available at the URLs above."
+  }`;
+}
 
-${errorMessage}
+/**
+ * Shorten inlined data URIs so results stay readable
+ */
+function summarizeImageInput(ref: string): string {
+  if (!ref.startsWith("data:")) {
+    return ref;
+  }
+  return `${ref.slice(0, ref.indexOf(",") + 1)}… (${ref.length} chars)`;
+}
 
-🔧 **Troubleshooting:**
+/**
+ * A model input with inlined data URIs shortened
+ */
+function summarizeModelInput(
+  model: ModelDefinition,
+  input: ModelInput
+): ModelInput {
+  const summarized = { ...input };
+  for (const name of model.imageArguments) {
+    const value = input[name];
+    if (Array.isArray(value)) {
+      summarized[name] = value.map(summarizeImageInput);
+    } else if (typeof value === "string") {
+      summarized[name] = summarizeImageInput(value);
+    }
+  }
+  return summarized;
+}
+
+/**
+ * Input parameters of a job, with inlined data URIs shortened
+ */
+function jobParameters(job: GenerationJob): Record<string, unknown> {
+  return {
+    ...summarizeModelInput(job.model, job.input),
+    ...(job.outputFormat ? { output_format: job.outputFormat } : {}),
+  };
+}
+
+/**
+ * Machine-readable summary of a job
+ */
+function jobResultData(job: GenerationJob): GenerationRecord {
+  const images = job.images || [];
+
+  return {
+    id: job.id,
+    model: job.model.replicateId,
+    modelVersion: job.version ?? null,
+    status: job.status,
+    prompt: job.prompt,
+    input: jobParameters(job),
+    images: images
+      .filter((img) => img.stored)
+      .map((img) => ({
+        index: img.index,
+        url: img.url,
+        key: img.stored!.key,
+        location: img.stored!.location,
+        localPath: storage.type === "local" ? img.stored!.location : null,
+        storageUrl: img.stored!.url ?? null,
+        resourceUri: resourceUri(img.stored!.key),
+        width: img.width ?? null,
+        height: img.height ?? null,
+        bytes: img.stored!.bytes,
+        sha256: img.sha256 ?? null,
+        retries: img.retries ?? 0,
+      })),
+    downloadFailures: images
+      .filter((img) => !img.stored)
+      .map((img) => ({
+        index: img.index,
+        url: img.url,
+        error: img.error ?? null,
+        retries: img.retries ?? 0,
+      })),
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt ?? null,
+      completedAt: job.completedAt ?? null,
+      queueWaitMs: job.queueWaitTime ?? null,
+      generationMs: job.generationTime ?? null,
+      predictMs: job.predictTime ?? null,
+      downloadMs: job.downloadTime ?? null,
+    },
+    retries: job.retries,
+    error: job.error
+      ? { category: job.errorCategory ?? "unknown", message: job.error }
+      : null,
+    client: job.clientName ?? null,
+  };
+}
+
+/**
+ * Describe the conflicting arguments a call had corrected
+ */
+function formatAdjustments(adjustments: ParameterAdjustment[]): string {
+  const lines = adjustments.map(
+    (adjustment) =>
+      `• ${adjustment.parameter}: ${JSON.stringify(adjustment.from)} → ${
+        adjustment.to === null ? "removed" : JSON.stringify(adjustment.to)
+      }\n  ${adjustment.reason}`
+  );
+  return `\n\n🔧 **Adjusted parameters:**\n${lines.join("\n")}`;
+}
+
+/**
+ * Build a tool result from a markdown summary and structured data, per the requested format
+ */
+function formatToolResult(
+  markdown: string,
+  data: object,
+  format: ResponseFormat | undefined,
+  options: {
+    images?: ImageContent[];
+    isError?: boolean;
+    // Corrections made to the arguments of a lenient call
+    adjustments?: ParameterAdjustment[];
+  } = {}
+) {
+  if (options.adjustments?.length) {
+    markdown += formatAdjustments(options.adjustments);
+    data = { ...data, adjustments: options.adjustments };
+  }
+
+  const content: ({ type: "text"; text: string } | ImageContent)[] = [];
+  if (format !== "json") {
+    content.push({ type: "text", text: markdown });
+  }
+  if (format === "json" || format === "both") {
+    content.push({ type: "text", text: JSON.stringify(data, null, 2) });
+  }
+  content.push(...(options.images || []));
+
+  return {
+    content,
+    ...(format === "json" || format === "both"
+      ? { structuredContent: data }
+      : {}),
+    ...(options.isError ? { isError: true } : {}),
+  };
+}
+
+/**
+ * Read a job's stored images back as MCP image content blocks
+ */
+async function imageContentBlocks(
+  job: GenerationJob,
+  mode: ReturnImageMode | undefined
+): Promise<ImageContent[]> {
+  if (!mode || mode === "none") {
+    return [];
+  }
+
+  const blocks: ImageContent[] = [];
+  for (const img of job.images || []) {
+    if (!img.stored) {
+      continue;
+    }
+    try {
+      const data = await storage.read(img.stored.key);
+      blocks.push(
+        await toImageContent(data, mode, {
+          thumbnailSize: THUMBNAIL_SIZE,
+          maxBytes: MAX_INLINE_IMAGE_BYTES,
+        })
+      );
+    } catch (error) {
+      log(
+        "warn",
+        `Failed to embed image ${img.index + 1}: ${
+          error instanceof Error ? error.message : error
+        }`
+      );
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Format the status of a job that has not succeeded
+ */
+function formatJobStatus(job: GenerationJob): string {
+  const statusIcons: Record<Prediction["status"], string> = {
+    starting: "⏳",
+    processing: "⚙️",
+    succeeded: "✅",
+    failed: "❌",
+    canceled: "🚫",
+  };
+
+  let text = `${statusIcons[job.status]} **Job ${job.id}: ${job.status}**
+
+• Prompt: "${job.prompt}"
+• Created: ${job.createdAt}`;
+
+  if (job.completedAt) {
+    text += `\n• Completed: ${job.completedAt}`;
+  }
+  if (job.error) {
+    text += `\n• Error: ${job.error}`;
+  }
+  if (!isTerminalStatus(job.status)) {
+    text += `\n\n💡 Call get_generation_status with job_id "${job.id}" to check again, or cancel_generation to stop it.`;
+  }
+
+  return text;
+}
+
+/**
+ * Whether a client may see and act on what a client generated; admins, and
+ * servers without client authentication, see everything
+ */
+function canAccess(
+  client: Client | undefined,
+  owner: string | null | undefined
+): boolean {
+  return !client || client.admin === true || owner === client.name;
+}
+
+/**
+ * Client a job was generated for, from this session or the history
+ */
+function jobOwner(id: string): string | null | undefined {
+  return jobs.get(id)?.clientName ?? history.get(id)?.client;
+}
+
+/**
+ * Look up the client each stored image belongs to. Images that no generation
+ * saved, like storyboard contact sheets, belong to the client whose images
+ * share their folder, when there is only one.
+ */
+function imageOwners(): (key: string) => string | null | undefined {
+  const byKey = new Map<string, string | null>();
+  // undefined for folders shared by several clients
+  const byFolder = new Map<string, string | null | undefined>();
+  const { records } = history.search({ limit: Math.max(history.size, 1) });
+  for (const record of records) {
+    const owner = record.client ?? null;
+    for (const image of record.images) {
+      byKey.set(image.key, owner);
+      const folder = path.posix.dirname(image.key);
+      byFolder.set(
+        folder,
+        byFolder.has(folder) && byFolder.get(folder) !== owner
+          ? undefined
+          : owner
+      );
+    }
+  }
+  return (key) =>
+    byKey.has(key) ? byKey.get(key) : byFolder.get(path.posix.dirname(key));
+}
+
+/**
+ * Image input options for a client, which may only use its own stored images
+ */
+function imageInputOptionsFor(client: Client | undefined): ImageInputOptions {
+  return {
+    ...imageInputOptions,
+    canRead: (key) => canAccess(client, imageOwners()(key)),
+  };
+}
+
+/**
+ * Build an error tool result for the job management tools
+ */
+function jobToolError(action: string, error: unknown) {
+  const errorMessage =
+    error instanceof Error ? error.message : "Unknown error occurred";
+  log("error", `Failed to ${action}: ${errorMessage}`);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `❌ **Failed to ${action}:** ${errorMessage}`,
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Describe how long a call waited for a generation slot, if it was queued
+ */
+function formatQueueNote(slot: Slot): string {
+  if (slot.queuePosition === 0) {
+    return "";
+  }
+  return `\n\n⏱️ Queued at position ${slot.queuePosition}, waited ${slot.waitTime}ms for a free slot.`;
+}
+
+/**
+ * Cancel a job's prediction on Replicate so it stops running and billing; a
+ * failure to cancel is logged rather than thrown
+ */
+async function cancelPrediction(
+  job: GenerationJob,
+  api: Replicate
+): Promise<void> {
+  try {
+    trackPrediction(await api.predictions.cancel(job.id));
+    log("info", `Canceled generation job ${job.id}`);
+  } catch (error) {
+    log(
+      "warn",
+      `Failed to cancel generation job ${job.id}: ${
+        error instanceof Error ? error.message : error
+      }`
+    );
+  }
+}
+
+/**
+ * Keep a slot held until a prediction finishes, so async jobs count against the concurrency cap
+ *
+ * Past REQUEST_TIMEOUT the slot is given back, but the job is still followed
+ * until it finishes so its outcome is recorded and its quota settled.
+ */
+function releaseWhenFinished(
+  slot: Slot,
+  job: GenerationJob,
+  prediction: Prediction,
+  api: Replicate
+): void {
+  const startTime = Date.now();
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      slot.release();
+    }
+  };
+
+  api
+    .wait(prediction, { interval: POLL_INTERVAL }, async (update) => {
+      trackPrediction(update);
+      if (Date.now() - startTime > REQUEST_TIMEOUT) {
+        release();
+      }
+      return false;
+    })
+    .then((finished) => {
+      trackPrediction(finished);
+    })
+    .catch(async (error) => {
+      // wait() throws for a failed prediction, so look up how it ended
+      const message = error instanceof Error ? error.message : String(error);
+      log("debug", `Background wait for job ${job.id} ended: ${message}`);
+      try {
+        trackPrediction(await api.predictions.get(job.id));
+      } catch {
+        // Nothing more is known about the job
+      }
+      if (!isTerminalStatus(job.status)) {
+        const classified = classifyError(error);
+        job.status = "failed";
+        job.error = classified.message;
+        job.errorCategory = classified.category;
+        settleReservation(job, 0);
+      }
+    })
+    .then(() => recordJob(job))
+    .finally(release);
+}
+
+/**
+ * Save a job's current state to the generation history, optionally under
+ * another status than the job's own
+ */
+function recordJob(
+  job: GenerationJob,
+  status: string = job.status
+): Promise<void> {
+  return history
+    .record({ ...jobResultData(job), status })
+    .catch((error) =>
+      log(
+        "warn",
+        `Failed to record job ${job.id} in history: ${
+          error instanceof Error ? error.message : error
+        }`
+      )
+    );
+}
+
+/**
+ * Update a job's history entry if it was started by generate_image
+ */
+function updateRecordedJob(job: GenerationJob): Promise<void> {
+  return history.get(job.id) ? recordJob(job) : Promise.resolve();
+}
+
+/**
+ * Record a generation tool call that failed before a prediction was created
+ *
+ * Such calls are recorded as "rejected": they generated nothing, so usage
+ * reports and searches leave them out unless asked for them.
+ */
+function recordFailedCall(
+  model: ModelDefinition,
+  params: GenerationParams,
+  category: ErrorCategory,
+  message: string,
+  client?: Client
+): Promise<void> {
+  const { input } = splitGenerationArguments(params);
+  return recordJob(
+    {
+      id: `failed_${randomUUID()}`,
+      model,
+      prompt: typeof params.prompt === "string" ? params.prompt : "",
+      input,
+      status: "failed",
+      clientName: client?.name,
+      createdAt: new Date().toISOString(),
+      error: message,
+      errorCategory: category,
+      retries: 0,
+    },
+    "rejected"
+  );
+}
+
+/**
+ * Format a generation history entry
+ */
+function formatGenerationRecord(record: GenerationRecord): string {
+  const input = record.input;
+  const model = modelForReplicateId(record.model);
+  const imageLines = record.images.map(
+    (img) =>
+      `• Image ${img.index + 1}: ${img.location}${
+        img.width && img.height ? ` (${img.width}x${img.height})` : ""
+      }\n  Resource: ${img.resourceUri}`
+  );
+  const failureLines = record.downloadFailures.map(
+    (img) =>
+      `• Image ${img.index + 1}: Download failed - ${img.url}${
+        img.error ? ` (${img.error})` : ""
+      }`
+  );
+
+  const details = [
+    `Model: ${model?.name ?? record.model}${
+      record.modelVersion ? ` (version ${record.modelVersion})` : ""
+    }`,
+    ...(record.prompt ? [`Prompt: "${record.prompt}"`] : []),
+    ...(model ? describeModelInput(model, input) : []),
+    `Input Images: ${model ? imageReferences(model, input).length : 0}`,
+    `Created: ${record.timings.createdAt}`,
+  ];
+
+  let text = `📜 **Generation ${record.id}: ${record.status}**
+
+${details.map((line) => `• ${line}`).join("\n")}`;
+
+  if (record.timings.completedAt) {
+    text += `\n• Completed: ${record.timings.completedAt}`;
+  }
+  if (record.timings.generationMs !== null) {
+    text += `\n• Generation Time: ${record.timings.generationMs}ms`;
+  }
+  if (record.error) {
+    text += `\n• Error [${record.error.category}]: ${record.error.message}`;
+  }
+  if (imageLines.length > 0 || failureLines.length > 0) {
+    text += `\n\n🖼️ **Images:**\n${[...imageLines, ...failureLines].join(
+      "\n"
+    )}`;
+  }
+
+  return text;
+}
+
+/**
+ * Cache key of a generation request, from its model, its input and the content of its input images
+ *
+ * Clients only get cached results of their own requests, since those count
+ * against their quota.
+ */
+async function requestCacheKey(
+  model: ModelDefinition,
+  input: ModelInput,
+  outputFormat: OutputFormat | undefined,
+  client: Client | undefined
+): Promise<string> {
+  return cacheKey({
+    model: model.replicateId,
+    version: model.version,
+    input: await mapImageReferences(model, input, (ref, label) =>
+      imageInputFingerprint(ref, label, imageInputOptionsFor(client))
+    ),
+    output_format: outputFormat,
+    ...(client ? { client: client.name } : {}),
+  });
+}
+
+/**
+ * The cached job for a request, if it is fresh and its images are still stored
+ */
+function cachedJob(key: string): GenerationJob | undefined {
+  const entry = resultCache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  const job = jobs.get(entry.value);
+  const images = job?.images || [];
+  const intact =
+    images.length > 0 &&
+    images.every(
+      (img) =>
+        img.stored &&
+        (storage.type !== "local" || fs.existsSync(img.stored.location))
+    );
+  if (!job || !intact) {
+    resultCache.delete(key);
+    return undefined;
+  }
+  return job;
+}
+
+/**
+ * Cache a job once all of its images are stored
+ */
+function cacheJob(job: GenerationJob): void {
+  const images = job.images || [];
+  if (
+    ENABLE_CACHING &&
+    job.cacheKey &&
+    job.status === "succeeded" &&
+    images.length > 0 &&
+    images.every((img) => img.stored)
+  ) {
+    resultCache.set(job.cacheKey, job.id);
+  }
+}
+
+/**
+ * Describe what a request would generate and cost, without calling Replicate
+ */
+async function dryRunResult(
+  model: ModelDefinition,
+  input: ModelInput,
+  params: GenerationParams,
+  adjustments: ParameterAdjustment[],
+  client: Client | undefined
+) {
+  // Validates local image inputs without uploading them
+  const key = await requestCacheKey(model, input, params.output_format, client);
+  const cached =
+    ENABLE_CACHING && !params.bypass_cache && cachedJob(key) !== undefined;
+
+  const size = model.outputSize?.(input) ?? "not known in advance";
+  const dimensions =
+    typeof size === "string"
+      ? null
+      : { width: size.width, height: size.height };
+  const { max: maxImages } = model.imageCount?.(input) ?? { min: 1, max: 1 };
+  const payload = summarizeModelInput(model, input);
+  const cost = (images: number) =>
+    cached ? 0 : Math.round(images * COST_PER_IMAGE * 10000) / 10000;
+  const formatCost = (images: number) => `$${cost(images).toFixed(2)}`;
+
+  const markdown = `🧪 **Dry run: no generation was started**
+
+✅ The parameters are valid.
+
+• Model: ${model.name} (${model.replicateId}${
+    model.version ? `, version ${model.version}` : ""
+  })
+• Output Size: ${
+    typeof size === "string"
+      ? size
+      : `${size.width}x${size.height} px${size.estimated ? " (estimated)" : ""}`
+  }
+• Images: ${maxImages > 1 ? `1-${maxImages} (the model decides how many)` : "1"}
+• Estimated Cost: ${
+    maxImages > 1 ? `${formatCost(1)}-${formatCost(maxImages)}` : formatCost(1)
+  }${
+    cached
+      ? " (an identical request is cached and would be served from the cache)"
+      : ` (at $${COST_PER_IMAGE} per image)`
+  }${
+    imageReferences(model, input).some(isLocalImageInput)
+      ? "\n• Local image inputs will be inlined or uploaded when generating"
+      : ""
+  }
+
+📦 **Replicate input:**
+\`\`\`json
+${JSON.stringify(payload, null, 2)}
+\`\`\``;
+
+  return formatToolResult(
+    markdown,
+    {
+      dryRun: true,
+      valid: true,
+      model: model.replicateId,
+      modelVersion: model.version ?? null,
+      input: payload,
+      dimensions,
+      images: { min: 1, max: maxImages },
+      estimatedCost: {
+        currency: "USD",
+        perImage: COST_PER_IMAGE,
+        min: cost(1),
+        max: cost(maxImages),
+      },
+      cached,
+    },
+    params.response_format,
+    { adjustments }
+  );
+}
+
+/**
+ * The Replicate client to run a client's calls with: one for its own token if it
+ * has one, the server's otherwise
+ */
+function replicateFor(client?: Client): Replicate | null {
+  if (!client?.replicateToken) {
+    return replicate;
+  }
+  let api = clientReplicates.get(client.replicateToken);
+  if (!api) {
+    api = new Replicate({ auth: client.replicateToken });
+    clientReplicates.set(client.replicateToken, api);
+  }
+  return api;
+}
+
+/**
+ * Hold the most images a generation can produce against the client's daily
+ * quota, returning how many were reserved
+ */
+async function reserveImages(
+  client: Client | undefined,
+  model: ModelDefinition,
+  input: ModelInput
+): Promise<number> {
+  if (!client || !clients) {
+    return 0;
+  }
+  const { max } = model.imageCount?.(input) ?? { max: 1 };
+  await clients.reserveImages(client, max);
+  return max;
+}
+
+/**
+ * Tool result returned when no Replicate client is configured
+ */
+const MISSING_TOKEN_RESULT = {
+  content: [
+    {
+      type: "text",
+      text: "Error: REPLICATE_API_TOKEN environment variable is not set. Please configure your Replicate API token.",
+    },
+  ],
+  isError: true,
+};
+
+/**
+ * Fill in the preset named by a generation tool call, if any
+ */
+async function expandPreset(
+  model: ModelDefinition,
+  args: Record<string, unknown>
+): Promise<Record<string, unknown>> {
+  if (typeof args.preset !== "string") {
+    return args;
+  }
+
+  const preset = await presets.get(args.preset);
+  if (!preset) {
+    throw new ValidationError([
+      {
+        path: "preset",
+        message: `there is no preset named "${args.preset}"; call list_presets to see the saved presets`,
+      },
+    ]);
+  }
+  if (preset.tool !== model.tool) {
+    throw new ValidationError([
+      {
+        path: "preset",
+        message: `preset "${preset.name}" is for ${preset.tool}, not ${model.tool}`,
+      },
+    ]);
+  }
+
+  const { args: expanded, violations } = applyPreset(preset, args);
+  if (violations.length > 0) {
+    throw new ValidationError(violations);
+  }
+  log("debug", `Applied preset ${preset.name}`);
+  return expanded;
+}
+
+/**
+ * Describe a preset for list_presets and save_preset
+ */
+function formatPreset(preset: Preset): string {
+  const lines = [
+    `**${preset.name}** (${preset.tool})${
+      preset.description ? ` - ${preset.description}` : ""
+    }`,
+  ];
+  if (preset.prompt) {
+    lines.push(`• Prompt: "${preset.prompt}"`);
+    const variables = templateVariables(preset.prompt).map((name) =>
+      preset.variables?.[name] !== undefined
+        ? `${name} = "${preset.variables[name]}"`
+        : `${name} (required)`
+    );
+    if (variables.length > 0) {
+      lines.push(`• Variables: ${variables.join(", ")}`);
+    }
+  }
+  const defaults = Object.entries(preset.arguments || {});
+  if (defaults.length > 0) {
+    lines.push(
+      `• Arguments: ${defaults
+        .map(([name, value]) => `${name}=${JSON.stringify(value)}`)
+        .join(", ")}`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Run a generation tool: validate its arguments, then generate with its model
+ *
+ * Images are saved under generated names unless `imageKeys` names them. Calls
+ * of an authenticated client count against its quota and run with its
+ * Replicate token, if it has one. While waiting for the generation, its phases
+ * and Replicate logs are sent to `progress`. When `signal` is aborted, or the
+ * generation runs past the request timeout, its prediction is canceled on
+ * Replicate and the images saved so far are removed.
+ */
+async function generateWithModel(
+  model: ModelDefinition,
+  args: Record<string, unknown> | undefined,
+  options: {
+    imageKeys?: string[];
+    client?: Client;
+    progress?: ProgressReporter;
+    signal?: AbortSignal;
+  } = {}
+) {
+  // Raw arguments until validated, so failures can still be reported
+  let params = (args || {}) as GenerationParams;
+  let job: GenerationJob | undefined;
+
+  // Aborted when the client cancels the call or the generation times out
+  const controller = new AbortController();
+  const cancel = () =>
+    controller.abort(
+      new GenerationError("canceled", "Generation canceled by the client")
+    );
+  if (options.signal?.aborted) {
+    cancel();
+  }
+  options.signal?.addEventListener("abort", cancel, { once: true });
+  let timeout: NodeJS.Timeout | undefined;
+
+  try {
+    const expanded = await expandPreset(model, args || {});
+    params = validateToolArguments<GenerationParams>(model.tool, expanded);
+
+    // Conflicting arguments were rejected above unless the call is lenient;
+    // conflicting defaults are corrected either way
+    let adjustments: ParameterAdjustment[] = [];
+    if (model.conflicts) {
+      ({ args: params, adjustments } = model.conflicts.resolve(
+        params,
+        new Set(Object.keys(expanded)),
+        params.lenient === true
+      ));
+      for (const adjustment of adjustments) {
+        log(
+          "info",
+          `Adjusted ${adjustment.parameter} from ${JSON.stringify(
+            adjustment.from
+          )} to ${JSON.stringify(adjustment.to)}`
+        );
+      }
+    }
+
+    // Dry runs never reach Replicate, so they work without a token
+    const api = replicateFor(options.client);
+    if (!api && !params.dry_run) {
+      return MISSING_TOKEN_RESULT;
+    }
+
+    // Prepare the input payload for Replicate
+    const { input: modelArgs } = splitGenerationArguments(params);
+    let input = model.prepareInput ? model.prepareInput(modelArgs) : modelArgs;
+
+    if (params.dry_run) {
+      return await dryRunResult(
+        model,
+        input,
+        params,
+        adjustments,
+        options.client
+      );
+    }
+
+    // Identical requests are answered from the cache instead of being billed again
+    const requestKey = ENABLE_CACHING
+      ? await requestCacheKey(
+          model,
+          input,
+          params.output_format,
+          options.client
+        )
+      : undefined;
+    const cached =
+      requestKey && !params.bypass_cache ? cachedJob(requestKey) : undefined;
+    if (cached) {
+      log("info", `Serving cached result of job ${cached.id}`);
+      return formatToolResult(
+        `${formatJobResult(cached)}
+
+♻️ Served from cache: an identical request already generated these images (job ${
+          cached.id
+        }). Pass bypass_cache: true to generate new ones.`,
+        { ...jobResultData(cached), cached: true },
+        params.response_format,
+        {
+          images: await imageContentBlocks(cached, params.return_images),
+          adjustments,
+        }
+      );
+    }
+
+    log(
+      "info",
+      `Generating image(s) with ${model.name}${
+        params.prompt ? ` and prompt: "${params.prompt}"` : ""
+      }`
+    );
+    log("debug", "Generation parameters", input);
+
+    // Turn local files and data URIs into URLs or data URIs the model accepts
+    const localInputs = imageReferences(model, input).filter(
+      isLocalImageInput
+    ).length;
+    if (localInputs > 0) {
+      log("debug", `Resolving ${localInputs} local image input(s)...`);
+      input = await mapImageReferences(model, input, (ref, label) =>
+        resolveImageInput(ref, label, {
+          ...imageInputOptionsFor(options.client),
+          upload: uploader(api!),
+        })
+      );
+    }
+
+    const version = await modelVersion(model, api!);
+
+    // Held against the client's daily quota until the job finishes
+    const reserved = await reserveImages(options.client, model, input);
+
+    if (scheduler.activeCount >= MAX_CONCURRENT_REQUESTS) {
+      await options.progress?.queued(scheduler.queueLength + 1);
+    }
+
+    // Wait for a free generation slot (FIFO when the server is saturated)
+    const slot = await scheduler
+      .acquire(controller.signal)
+      .catch(async (error) => {
+        await clients?.releaseImages(options.client!, reserved);
+        throw error;
+      });
+    if (slot.queuePosition > 0) {
+      log(
+        "info",
+        `Generation started after waiting ${slot.waitTime}ms at queue position ${slot.queuePosition}`
+      );
+    }
+
+    let slotHandedOff = false;
+
+    try {
+      controller.signal.throwIfAborted();
+
+      // Create the prediction so the job can be tracked even if we stop waiting
+      const created = await withRetry(
+        () =>
+          api!.predictions.create(
+            version ? { version, input } : { model: model.replicateId, input }
+          ),
+        { ...createRetryOptions, signal: controller.signal }
+      );
+      let prediction = created.value;
+      await options.progress?.prediction(prediction);
+      job = trackPrediction(prediction, model);
+      job.clientName = options.client?.name;
+      job.reservedImages = reserved;
+      job.retries = created.retries;
+      job.outputFormat = params.output_format;
+      job.cacheKey = requestKey;
+      job.imageKeys = options.imageKeys;
+      job.queueWaitTime = slot.waitTime;
+      inFlightJobs.add(job);
+
+      if (params.async) {
+        log("info", `Started generation job ${job.id}`);
+        releaseWhenFinished(slot, job, prediction, api!);
+        slotHandedOff = true;
+        await recordJob(job);
+        return formatToolResult(
+          `🚀 Generation started with ${model.name}
+
+• Job ID: ${job.id}
+• Status: ${job.status}${job.prompt ? `\n• Prompt: "${job.prompt}"` : ""}
+
+💡 Call get_generation_status with job_id "${job.id}" to retrieve the images, or cancel_generation to stop it.${formatQueueNote(
+            slot
+          )}`,
+          jobResultData(job),
+          params.response_format,
+          { adjustments }
+        );
+      }
+
+      // Poll until the prediction finishes, the call is canceled or the
+      // request timeout elapses
+      timeout = setTimeout(
+        () =>
+          controller.abort(
+            new GenerationError(
+              "canceled",
+              `Generation did not finish within ${REQUEST_TIMEOUT}ms and was canceled`
+            )
+          ),
+        REQUEST_TIMEOUT
+      );
+      const started = prediction;
+      const finished = await withRetry(
+        () =>
+          api!.wait(started, { interval: POLL_INTERVAL }, async (update) => {
+            trackPrediction(update);
+            await options.progress?.prediction(update);
+            return controller.signal.aborted;
+          }),
+        { ...retryOptions, signal: controller.signal }
+      );
+      clearTimeout(timeout);
+      prediction = finished.value;
+      job.retries += finished.retries;
+      trackPrediction(prediction);
+      await options.progress?.prediction(prediction);
+
+      if (!isTerminalStatus(prediction.status)) {
+        // Only stopped waiting because the call was aborted
+        throw controller.signal.reason;
+      }
+
+      if (prediction.status === "canceled") {
+        throw new GenerationError("model_failure", "Prediction was canceled");
+      }
+
+      log("info", `Image(s) generated successfully in ${job.generationTime}ms`);
+
+      await finalizeJob(job, prediction, {
+        progress: options.progress,
+        signal: controller.signal,
+      });
+      cacheJob(job);
+      await recordJob(job);
+    } catch (apiError) {
+      // Once the call is aborted, that is why it failed, whatever broke the wait
+      const classified = classifyError(
+        controller.signal.aborted ? controller.signal.reason : apiError
+      );
+      log(
+        "error",
+        `Replicate API error (${classified.category}): ${classified.message}`
+      );
+
+      if (job) {
+        if (controller.signal.aborted && !isTerminalStatus(job.status)) {
+          // Leave nothing running on Replicate for a call that was given up on
+          await cancelPrediction(job, api!);
+          job.status = "canceled";
+          job.error = classified.message;
+          job.errorCategory = "canceled";
+        }
+        if (!job.error) {
+          job.status = "failed";
+          job.error = classified.message;
+          job.errorCategory = classified.category;
+        }
+        // A prediction that failed inside wait() was never tracked as finished
+        settleReservation(job, 0);
+        await recordJob(job);
+      } else if (reserved > 0) {
+        await clients?.releaseImages(options.client!, reserved);
+      }
+
+      // Provide a helpful tip based on the kind of failure
+      const tip = ERROR_TIPS[classified.category];
+      const helpfulMessage = tip ? `\n💡 **Tip:** ${tip}` : "";
+      const retryMessage = classified.retries
+        ? ` (after ${classified.retries} retries)`
+        : "";
+
+      throw new GenerationError(
+        classified.category,
+        `Failed to generate image(s) [${classified.category}]${retryMessage}: ${classified.message}${helpfulMessage}`,
+        { cause: classified }
+      );
+    } finally {
+      if (!slotHandedOff) {
+        slot.release();
+      }
+      if (job) {
+        inFlightJobs.delete(job);
+      }
+    }
+
+    return formatToolResult(
+      formatJobResult(job) + formatQueueNote(slot),
+      jobResultData(job),
+      params.response_format,
+      {
+        images: await imageContentBlocks(job, params.return_images),
+        adjustments,
+      }
+    );
+  } catch (error) {
+    const errorMessage =
+      error instanceof Error ? error.message : "Unknown error occurred";
+    log("error", `Image generation failed: ${errorMessage}`);
+
+    const classified = classifyError(error);
+    const format = VALID_RESPONSE_FORMATS.includes(params.response_format!)
+      ? params.response_format
+      : "markdown";
+
+    // Failures after the prediction was created are recorded with the job
+    if (!job && !params.dry_run) {
+      await recordFailedCall(
+        model,
+        params,
+        classified.category,
+        errorMessage,
+        options.client
+      );
+    }
+
+    return formatToolResult(
+      `❌ **Error generating image(s):**
+
+${errorMessage}
+
+🔧 **Troubleshooting:**
 • Verify your REPLICATE_API_TOKEN is set and valid
 • Check your internet connection
 • Ensure your Replicate account has sufficient credits
 • Verify input parameters are within valid ranges
 • Try a simpler prompt if the error persists
 
-📞 **Need help?** Visit: https://github.com/PierrunoYT/seedream-v4-replicate-mcp-server/issues`,
+📞 **Need help?** Visit: https://github.com/PierrunoYT/seedream-v4-replicate-mcp-server/issues`,
+      job
+        ? jobResultData(job)
+        : {
+            id: null,
+            status: "failed",
+            error: {
+              category: classified.category,
+              message: errorMessage,
+              ...(error instanceof ValidationError
+                ? { violations: error.violations }
+                : {}),
+            },
+          },
+      format,
+      { isError: true }
+    );
+  } finally {
+    clearTimeout(timeout);
+    options.signal?.removeEventListener("abort", cancel);
+  }
+}
+
+/**
+ * Outcome of a batch item, read from the JSON result of its generation
+ */
+function batchItemResult(
+  item: BatchItem,
+  result: { content: unknown[]; structuredContent?: object }
+): BatchItemResult {
+  const data = (result.structuredContent || {}) as Partial<GenerationRecord> & {
+    dryRun?: boolean;
+    cached?: boolean;
+  };
+  // Dry runs report the expected image count under `images` instead
+  const images = Array.isArray(data.images) ? data.images : [];
+
+  return {
+    index: item.index,
+    variation: item.variation,
+    status: data.dryRun ? "dry_run" : data.status || "failed",
+    jobId: data.id ?? null,
+    cached: data.cached === true,
+    images: images.map((image) => ({
+      location: image.location,
+      url: image.storageUrl ?? image.url ?? null,
+      resourceUri: image.resourceUri,
+      width: image.width,
+      height: image.height,
+    })),
+    error: data.error ?? null,
+  };
+}
+
+/**
+ * Save generated data other than images, such as manifests, to storage
+ */
+async function saveToStorage(
+  key: string,
+  data: string | Buffer,
+  contentType: string
+): Promise<StoredObject> {
+  if (!fs.existsSync(STAGING_DIR)) {
+    fs.mkdirSync(STAGING_DIR, { recursive: true });
+  }
+  const filePath = path.join(STAGING_DIR, randomUUID());
+  await writeFile(filePath, data);
+
+  try {
+    return await storage.save(key, filePath, contentType);
+  } catch (error) {
+    fs.unlink(filePath, () => {});
+    throw error;
+  }
+}
+
+/**
+ * One line of the batch report
+ */
+function formatBatchItem(result: BatchItemResult): string {
+  const label = `[${result.index}] ${describeVariation(result.variation)}`;
+
+  switch (result.status) {
+    case "succeeded":
+      return `• ${label}: ✅ ${result.images.length} image(s)${
+        result.cached ? " (cached)" : ""
+      }${result.images.map((image) => `\n  ${image.location}`).join("")}`;
+    case "failed":
+    case "canceled":
+      return `• ${label}: ❌ ${result.status}${
+        result.error
+          ? ` [${result.error.category}] ${result.error.message.split("\n")[0]}`
+          : ""
+      }`;
+    case "dry_run":
+      return `• ${label}: 🧪 valid`;
+    default:
+      return `• ${label}: ⏳ ${result.status} (job ${result.jobId})`;
+  }
+}
+
+/**
+ * Run a batch of generations through the generation queue
+ *
+ * Every item is validated before any is generated. Items then run like separate
+ * generation tool calls, so one failing doesn't stop the others, and the outcome
+ * of each is collected into a report and a manifest file.
+ */
+async function generateBatch(
+  args: Record<string, unknown> | undefined,
+  { client, progress, signal }: CallContext = {}
+) {
+  try {
+    const request = validateToolArguments<
+      BatchRequest & { tool: string; response_format: ResponseFormat }
+    >("generate_batch", args);
+    const model = modelForTool(request.tool)!;
+
+    if (!replicateFor(client) && request.arguments?.dry_run !== true) {
+      return MISSING_TOKEN_RESULT;
+    }
+
+    // A bad value in one item would otherwise leave a half-finished batch
+    const items = expandBatch(request);
+    const violations = new Map<string, Violation>();
+    for (const item of items) {
+      try {
+        validateToolArguments(
+          model.tool,
+          await expandPreset(model, item.arguments)
+        );
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        for (const violation of error.violations) {
+          // Problems with shared arguments are reported once, not per item
+          const name = violation.path.split(/[.[]/)[0];
+          const pathPrefix =
+            name in item.variation ? `items[${item.index}]` : "arguments";
+          const reported = {
+            path: `${pathPrefix}.${violation.path}`,
+            message: violation.message,
+          };
+          violations.set(`${reported.path}: ${reported.message}`, reported);
+        }
+      }
+    }
+    if (violations.size > 0) {
+      throw new ValidationError([...violations.values()]);
+    }
+
+    const batchId = `batch_${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}_${randomUUID().slice(0, 8)}`;
+    const createdAt = new Date().toISOString();
+    log("info", `Starting ${batchId}: ${items.length} ${model.tool} call(s)`);
+
+    // No more items in flight than there are generation slots, so a large batch
+    // can't overflow the queue. Progress counts finished items.
+    let finished = 0;
+    const results = await mapWithConcurrency(
+      items,
+      MAX_CONCURRENT_REQUESTS,
+      async (item) => {
+        const result = batchItemResult(
+          item,
+          await generateWithModel(
+            model,
+            { ...item.arguments, response_format: "json" },
+            { client, signal }
+          )
+        );
+        finished++;
+        await progress?.report(
+          (finished / items.length) * 100,
+          `Finished item ${finished} of ${items.length}`
+        );
+        return result;
+      }
+    );
+
+    const counts = countBatchResults(results);
+    const manifest: BatchManifest = {
+      id: batchId,
+      tool: model.tool,
+      model: model.replicateId,
+      createdAt,
+      completedAt: new Date().toISOString(),
+      total: counts.total,
+      succeeded: counts.succeeded,
+      failed: counts.failed,
+      dryRuns: counts.dryRuns,
+      imageCount: results.reduce(
+        (count, result) => count + result.images.length,
+        0
+      ),
+      items: results,
+    };
+    log(
+      "info",
+      `Finished ${batchId}: ${manifest.succeeded} succeeded, ${manifest.failed} failed`
+    );
+
+    // Dry runs generate nothing, so there is nothing to record
+    let manifestLocation: string | null = null;
+    let manifestNote = "";
+    if (results.some((result) => result.status !== "dry_run")) {
+      try {
+        manifestLocation = (
+          await saveToStorage(
+            `batches/${manifest.id}.json`,
+            JSON.stringify(manifest, null, 2) + "\n",
+            "application/json"
+          )
+        ).location;
+        manifestNote = `\n\n🗂️ Manifest: ${manifestLocation}`;
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        log("warn", `Failed to save manifest of ${batchId}: ${message}`);
+        manifestNote = `\n\n⚠️ The manifest could not be saved: ${message}`;
+      }
+    }
+
+    const dryRunNote = counts.dryRuns
+      ? `\n🧪 ${counts.dryRuns} dry run(s) validated without generating`
+      : "";
+    return formatToolResult(
+      `📦 **Batch ${batchId} with ${model.name}: ${formatBatchSummary(
+        counts
+      )}** (${manifest.imageCount} image(s))${dryRunNote}
+
+${results.map(formatBatchItem).join("\n")}${manifestNote}`,
+      { ...manifest, manifest: manifestLocation },
+      request.response_format,
+      { isError: manifest.failed === manifest.total }
+    );
+  } catch (error) {
+    return jobToolError("run batch", error);
+  }
+}
+
+/**
+ * Validated arguments of generate_storyboard
+ */
+interface StoryboardParams {
+  title: string;
+  scenes: string[];
+  style?: string;
+  characters?: string;
+  character_images: string[];
+  size: string;
+  aspect_ratio: string;
+  contact_sheet: boolean;
+  output_format?: OutputFormat;
+  response_format: ResponseFormat;
+}
+
+/**
+ * Generate a storyboard in one sequential SeedDream 4.0 generation
+ *
+ * Frames are saved in scene order into a folder named after the storyboard,
+ * together with a manifest mapping each scene to its image and, on request, a
+ * contact sheet of all frames.
+ */
+async function generateStoryboard(
+  args: Record<string, unknown> | undefined,
+  { client, progress, signal }: CallContext = {}
+) {
+  try {
+    const params = validateToolArguments<StoryboardParams>(
+      "generate_storyboard",
+      args
+    );
+    if (!replicateFor(client)) {
+      return MISSING_TOKEN_RESULT;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const folder = path.posix.join(
+      "storyboards",
+      `${slugify(params.title)}_${timestamp}`
+    );
+    const prompt = storyboardPrompt({
+      scenes: params.scenes,
+      style: params.style,
+      characters: params.characters,
+      withReferences: params.character_images.length > 0,
+    });
+    log(
+      "info",
+      `Generating storyboard "${params.title}" with ${params.scenes.length} scene(s)`
+    );
+
+    // The generation's own markdown is kept for reporting failures
+    const result = await generateWithModel(
+      modelForTool("generate_image")!,
+      {
+        prompt,
+        image_input: params.character_images,
+        sequential_image_generation: "auto",
+        max_images: params.scenes.length,
+        size: params.size,
+        aspect_ratio: params.aspect_ratio,
+        output_format: params.output_format,
+        // A cached result's frames would be in the earlier request's folder
+        bypass_cache: true,
+        response_format: "both",
+      },
+      {
+        imageKeys: params.scenes.map((scene, i) =>
+          path.posix.join(
+            folder,
+            `${String(i + 1).padStart(2, "0")}_${slugify(scene)}`
+          )
+        ),
+        client,
+        progress,
+        signal,
+      }
+    );
+    const record = (
+      "structuredContent" in result ? result.structuredContent : undefined
+    ) as GenerationRecord | undefined;
+    if (result.isError || !record || record.status !== "succeeded") {
+      const [summary] = result.content as { type: string; text: string }[];
+      return formatToolResult(
+        `🎬 **Storyboard "${params.title}" was not generated**\n\n${summary.text}`,
+        record || {},
+        params.response_format,
+        { isError: result.isError }
+      );
+    }
+
+    // Images come back in scene order
+    const frames: StoryboardFrame[] = params.scenes.map((scene, i) => {
+      const image = record.images.find((img) => img.index === i);
+      return {
+        frame: i + 1,
+        scene,
+        image: image
+          ? {
+              key: image.key,
+              location: image.location,
+              resourceUri: image.resourceUri,
+              width: image.width,
+              height: image.height,
+            }
+          : null,
+      };
+    });
+
+    let contactSheet: StoryboardManifest["contactSheet"] = null;
+    let contactSheetNote = "";
+    const rendered = frames.filter((frame) => frame.image);
+    if (params.contact_sheet && rendered.length > 0) {
+      try {
+        const sheet = await renderContactSheet(
+          await Promise.all(
+            rendered.map(async (frame) => ({
+              data: await storage.read(frame.image!.key),
+              caption: `${frame.frame}. ${frame.scene}`,
+            }))
+          )
+        );
+        const stored = await saveToStorage(
+          path.posix.join(folder, "contact_sheet.jpg"),
+          sheet,
+          "image/jpeg"
+        );
+        contactSheet = { key: stored.key, location: stored.location };
+        contactSheetNote = `\n🖼️ Contact sheet: ${stored.location}`;
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        log("warn", `Failed to render contact sheet: ${message}`);
+        contactSheetNote = `\n⚠️ The contact sheet could not be rendered: ${message}`;
+      }
+    }
+
+    const manifest: StoryboardManifest = {
+      title: params.title,
+      folder,
+      jobId: record.id,
+      prompt,
+      createdAt: record.timings.createdAt,
+      frames,
+      contactSheet,
+    };
+    let manifestNote: string;
+    let manifestLocation: string | null = null;
+    try {
+      manifestLocation = (
+        await saveToStorage(
+          path.posix.join(folder, "storyboard.json"),
+          JSON.stringify(manifest, null, 2) + "\n",
+          "application/json"
+        )
+      ).location;
+      manifestNote = `\n🗂️ Manifest: ${manifestLocation}`;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      log("warn", `Failed to save storyboard manifest: ${message}`);
+      manifestNote = `\n⚠️ The manifest could not be saved: ${message}`;
+    }
+
+    const lines = frames.map(
+      (frame) =>
+        `${frame.frame}. ${frame.scene}\n   ${
+          frame.image
+            ? frame.image.location
+            : "⚠️ The model returned no image for this scene"
+        }`
+    );
+    return formatToolResult(
+      `🎬 **Storyboard "${params.title}": ${rendered.length} of ${
+        frames.length
+      } frames generated**
+
+• Job ID: ${record.id}
+
+${lines.join("\n")}
+${contactSheetNote}${manifestNote}`,
+      {
+        ...manifest,
+        manifest: manifestLocation,
+      },
+      params.response_format
+    );
+  } catch (error) {
+    return jobToolError("generate storyboard", error);
+  }
+}
+
+/**
+ * Handler that lists available tools for image generation
+ */
+async function handleListTools() {
+  return {
+    tools: TOOLS.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: toolInputSchema(tool),
+    })),
+  };
+}
+
+/**
+ * Who a tool call is made for, where its progress goes and whether it was
+ * canceled
+ */
+interface CallContext {
+  // Authenticated client of the session, in HTTP mode
+  client?: Client;
+  progress?: ProgressReporter;
+  // Aborted when the client cancels the call
+  signal?: AbortSignal;
+}
+
+/**
+ * Handler for tool execution
+ */
+async function handleCallTool(
+  request: CallToolRequest,
+  context: CallContext = {}
+) {
+  const { client } = context;
+  if (client) {
+    try {
+      await clients!.consumeCall(client);
+    } catch (error) {
+      return jobToolError(`call ${request.params.name}`, error);
+    }
+  }
+
+  const model = modelForTool(request.params.name);
+  if (model) {
+    return generateWithModel(model, request.params.arguments, context);
+  }
+
+  switch (request.params.name) {
+    case "generate_batch":
+      return generateBatch(request.params.arguments, context);
+
+    case "generate_storyboard":
+      return generateStoryboard(request.params.arguments, context);
+
+    case "list_presets": {
+      try {
+        const { response_format: responseFormat } = validateToolArguments<{
+          response_format: ResponseFormat;
+        }>("list_presets", request.params.arguments);
+
+        const { presets: saved, problems } = await presets.load();
+        const problemNote = problems.length
+          ? `\n\n⚠️ **Skipped invalid presets in ${PRESETS_PATH}:**\n${problems
+              .map((problem) => `• ${problem}`)
+              .join("\n")}`
+          : "";
+        const presetsData = { path: PRESETS_PATH, presets: saved, problems };
+
+        if (saved.length === 0) {
+          return formatToolResult(
+            `No presets saved yet. Create one with save_preset, or add it to ${PRESETS_PATH}.${problemNote}`,
+            presetsData,
+            responseFormat
+          );
+        }
+
+        return formatToolResult(
+          `🎨 **Presets (${saved.length}):**
+
+${saved.map(formatPreset).join("\n\n")}
+
+💡 Use a preset by passing its name as the preset argument of its tool, with the template's variables.${problemNote}`,
+          presetsData,
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("list presets", error);
+      }
+    }
+
+    case "save_preset": {
+      try {
+        const {
+          overwrite,
+          response_format: responseFormat,
+          ...preset
+        } = validateToolArguments<
+          Preset & { overwrite: boolean; response_format: ResponseFormat }
+        >("save_preset", request.params.arguments);
+
+        // Check the defaults now rather than when the preset is first used
+        try {
+          validateToolArguments(
+            preset.tool,
+            {
+              ...preset.arguments,
+              ...(preset.prompt ? { prompt: preset.prompt } : {}),
             },
-          ],
-          isError: true,
+            { partial: true }
+          );
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+          throw new ValidationError(
+            error.violations.map((violation) => ({
+              path:
+                violation.path === "prompt"
+                  ? "prompt"
+                  : `arguments.${violation.path}`,
+              message: violation.message,
+            }))
+          );
+        }
+
+        if (!overwrite && (await presets.get(preset.name))) {
+          throw new Error(
+            `A preset named "${preset.name}" already exists. Pass overwrite: true to replace it.`
+          );
+        }
+
+        await presets.save(preset);
+        log("info", `Saved preset ${preset.name}`);
+
+        return formatToolResult(
+          `💾 Saved preset to ${PRESETS_PATH}:
+
+${formatPreset(preset)}`,
+          { path: PRESETS_PATH, preset },
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("save preset", error);
+      }
+    }
+
+    case "get_generation_status": {
+      try {
+        const api = replicateFor(client);
+        if (!api) {
+          return MISSING_TOKEN_RESULT;
+        }
+
+        const {
+          job_id: jobId,
+          return_images: returnImages,
+          response_format: responseFormat,
+        } = validateToolArguments<{
+          job_id: string;
+          return_images: ReturnImageMode;
+          response_format: ResponseFormat;
+        }>("get_generation_status", request.params.arguments);
+        if (!canAccess(client, jobOwner(jobId))) {
+          throw new Error(`No generation job with ID "${jobId}"`);
+        }
+
+        const prediction = await api.predictions.get(jobId);
+        const job = trackPrediction(prediction);
+        await finalizeJob(job, prediction, { signal: context.signal });
+        cacheJob(job);
+        await updateRecordedJob(job);
+
+        if (job.status !== "succeeded") {
+          return formatToolResult(
+            formatJobStatus(job),
+            jobResultData(job),
+            responseFormat
+          );
+        }
+
+        return formatToolResult(
+          formatJobResult(job),
+          jobResultData(job),
+          responseFormat,
+          { images: await imageContentBlocks(job, returnImages) }
+        );
+      } catch (error) {
+        return jobToolError("get generation status", error);
+      }
+    }
+
+    case "list_generations": {
+      try {
+        const api = replicateFor(client);
+        if (!api) {
+          return MISSING_TOKEN_RESULT;
+        }
+
+        const {
+          status,
+          limit,
+          response_format: responseFormat,
+        } = validateToolArguments<{
+          status?: Prediction["status"];
+          limit: number;
+          response_format: ResponseFormat;
+        }>("list_generations", request.params.arguments);
+
+        const listed: GenerationJob[] = [];
+        for await (const page of api.paginate(() => api.predictions.list())) {
+          for (const prediction of page as Prediction[]) {
+            const model = modelForReplicateId(prediction.model);
+            if (!model) {
+              continue;
+            }
+            if (status && prediction.status !== status) {
+              continue;
+            }
+            if (!canAccess(client, jobOwner(prediction.id))) {
+              continue;
+            }
+            listed.push(trackPrediction(prediction, model));
+          }
+          if (listed.length >= limit) {
+            break;
+          }
+        }
+
+        const jobsData = {
+          jobs: listed.slice(0, limit).map(jobResultData),
+        };
+
+        if (listed.length === 0) {
+          return formatToolResult(
+            "No generation jobs of the supported models found.",
+            jobsData,
+            responseFormat
+          );
+        }
+
+        const lines = listed.slice(0, limit).map((job) => {
+          const downloaded = job.images
+            ? `, ${job.images.filter((img) => img.stored).length} downloaded`
+            : "";
+          return `• ${job.id} [${job.status}${downloaded}] ${job.createdAt} - ${
+            job.model.name
+          }${job.prompt ? `: "${job.prompt}"` : ""}`;
+        });
+
+        return formatToolResult(
+          `📋 **Generation jobs (${lines.length}):**
+${lines.join("\n")}`,
+          jobsData,
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("list generations", error);
+      }
+    }
+
+    case "cancel_generation": {
+      try {
+        const api = replicateFor(client);
+        if (!api) {
+          return MISSING_TOKEN_RESULT;
+        }
+
+        const { job_id: jobId, response_format: responseFormat } =
+          validateToolArguments<{
+            job_id: string;
+            response_format: ResponseFormat;
+          }>("cancel_generation", request.params.arguments);
+        if (!canAccess(client, jobOwner(jobId))) {
+          throw new Error(`No generation job with ID "${jobId}"`);
+        }
+
+        let prediction = await api.predictions.get(jobId);
+        if (!isTerminalStatus(prediction.status)) {
+          prediction = await api.predictions.cancel(jobId);
+          log("info", `Canceled generation job ${jobId}`);
+        }
+        const job = trackPrediction(prediction);
+        await updateRecordedJob(job);
+
+        return formatToolResult(
+          formatJobStatus(job),
+          jobResultData(job),
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("cancel generation", error);
+      }
+    }
+
+    case "search_generations": {
+      try {
+        const {
+          query,
+          limit,
+          offset,
+          response_format: responseFormat,
+          ...filters
+        } = validateToolArguments<{
+          query?: string;
+          from?: string;
+          to?: string;
+          size?: string;
+          status?: Prediction["status"] | "rejected";
+          limit: number;
+          offset: number;
+          response_format: ResponseFormat;
+        }>("search_generations", request.params.arguments);
+
+        const { total, records } = history.search({
+          ...filters,
+          text: query,
+          // Clients only find their own generations unless they are admins
+          client: client && !client.admin ? client.name : undefined,
+          limit,
+          offset,
+        });
+        const resultsData = { total, offset, generations: records };
+
+        if (records.length === 0) {
+          return formatToolResult(
+            total > 0
+              ? `No generations left after skipping ${offset} of ${total} matches.`
+              : "No matching generations found in the history.",
+            resultsData,
+            responseFormat
+          );
+        }
+
+        const lines = records.map((record) => {
+          const stored = record.images.length
+            ? `, ${record.images.length} stored`
+            : "";
+          const modelName =
+            modelForReplicateId(record.model)?.name || record.model;
+          return `• ${record.id} [${record.status}${stored}] ${
+            record.timings.createdAt
+          } - ${modelName}${record.prompt ? `: "${record.prompt}"` : ""}`;
+        });
+
+        return formatToolResult(
+          `🔎 **Generation history (${offset + 1}-${
+            offset + records.length
+          } of ${total}):**
+${lines.join("\n")}
+
+💡 Call get_generation with an ID for the full details.`,
+          resultsData,
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("search generations", error);
+      }
+    }
+
+    case "get_generation": {
+      try {
+        const { id, response_format: responseFormat } = validateToolArguments<{
+          id: string;
+          response_format: ResponseFormat;
+        }>("get_generation", request.params.arguments);
+
+        const record = history.get(id);
+        if (!record || !canAccess(client, record.client)) {
+          throw new Error(`No generation with ID "${id}" in the history`);
+        }
+
+        return formatToolResult(
+          formatGenerationRecord(record),
+          record,
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("get generation", error);
+      }
+    }
+
+    case "get_usage": {
+      try {
+        const {
+          client: requested,
+          from = utcDate(),
+          to,
+          response_format: responseFormat,
+        } = validateToolArguments<{
+          client?: string;
+          from?: string;
+          to?: string;
+          response_format: ResponseFormat;
+        }>("get_usage", request.params.arguments);
+
+        // Clients only see their own usage unless they are admins
+        let only = requested;
+        if (client && !client.admin) {
+          if (requested && requested !== client.name) {
+            throw new Error(
+              `Client "${client.name}" can only see its own usage`
+            );
+          }
+          only = client.name;
+        } else if (requested && clients && !clients.get(requested)) {
+          throw new Error(`No client named "${requested}"`);
+        }
+
+        const { records } = history.search({
+          from,
+          to,
+          limit: Math.max(history.size, 1),
+        });
+        const summaries = summarizeUsage(records, COST_PER_IMAGE);
+        // Registered clients are listed even when they haven't generated anything
+        for (const registered of clients?.clients ?? []) {
+          if (!summaries.has(registered.name)) {
+            summaries.set(registered.name, {
+              client: registered.name,
+              generations: 0,
+              succeeded: 0,
+              failed: 0,
+              images: 0,
+              estimatedCredits: 0,
+            });
+          }
+        }
+
+        const usage = [...summaries.values()]
+          .filter((summary) => !only || summary.client === only)
+          .sort((a, b) => (a.client ?? "").localeCompare(b.client ?? ""))
+          .map((summary) => {
+            const registered =
+              summary.client !== null
+                ? clients?.get(summary.client)
+                : undefined;
+            return {
+              ...summary,
+              quota: registered ? clients!.quota(registered) : null,
+            };
+          });
+        const usageData = {
+          from,
+          to: to ?? null,
+          costPerImage: COST_PER_IMAGE,
+          clients: usage,
         };
+
+        const period = `${from} to ${to ?? "now"}`;
+        const resetsAt = usage.find((entry) => entry.quota)?.quota?.resetsAt;
+        if (usage.length === 0) {
+          return formatToolResult(
+            `No generations from ${period}.`,
+            usageData,
+            responseFormat
+          );
+        }
+
+        const lines = usage.map((entry) => {
+          const quota = entry.quota;
+          const limits = quota
+            ? `\n  Today: ${quota.images.used}${
+                quota.images.limit !== null ? ` of ${quota.images.limit}` : ""
+              } image(s), ${formatCredits(quota.credits.used)}${
+                quota.credits.limit !== null
+                  ? ` of ${formatCredits(quota.credits.limit)}`
+                  : ""
+              } in credits; ${
+                quota.rateLimit !== null
+                  ? `${quota.rateLimit} tool calls per minute`
+                  : "no rate limit"
+              }`
+            : "";
+          return `• ${entry.client ?? "(unauthenticated)"}: ${
+            entry.generations
+          } generation(s), ${entry.images} image(s), ${formatCredits(
+            entry.estimatedCredits
+          )} estimated (${entry.succeeded} succeeded, ${
+            entry.failed
+          } failed)${limits}`;
+        });
+
+        return formatToolResult(
+          `📊 **Usage from ${period}:**
+${lines.join("\n")}
+
+💡 Credits are estimated at $${COST_PER_IMAGE} per image.${
+            resetsAt ? ` Daily quotas reset at ${resetsAt}.` : ""
+          }`,
+          usageData,
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("get usage", error);
+      }
+    }
+
+    case "clear_cache": {
+      try {
+        const { response_format: responseFormat } = validateToolArguments<{
+          response_format: ResponseFormat;
+        }>("clear_cache", request.params.arguments);
+
+        const cleared = resultCache.clear();
+        log("info", `Cleared ${cleared} cached result(s)`);
+
+        return formatToolResult(
+          `🧹 Cleared ${cleared} cached result(s). Stored images were kept.${
+            ENABLE_CACHING
+              ? ""
+              : "\n\n💡 Caching is disabled (ENABLE_CACHING=false)."
+          }`,
+          { cleared, enabled: ENABLE_CACHING },
+          responseFormat
+        );
+      } catch (error) {
+        return jobToolError("clear cache", error);
       }
     }
 
     default:
       throw new Error(`Unknown tool: ${request.params.name}`);
   }
-});
+}
+
+/**
+ * Handler that lists generated images as seedream:// resources, only those of
+ * the session's client unless it is an admin
+ */
+async function handleListResources(
+  request: ListResourcesRequest,
+  client?: Client
+) {
+  const offset = parseInt(request.params?.cursor || "0") || 0;
+  const owner = imageOwners();
+  const objects = (await storage.list()).filter((object) =>
+    canAccess(client, owner(object.key))
+  );
+  const page = objects.slice(offset, offset + RESOURCES_PAGE_SIZE);
+
+  return {
+    resources: page.map((object) => ({
+      uri: resourceUri(object.key),
+      name: path.posix.basename(object.key),
+      description: `Generated image (${object.bytes} bytes${
+        object.modifiedAt ? `, ${object.modifiedAt}` : ""
+      }) stored at ${object.location}`,
+      mimeType:
+        IMAGE_FORMATS[formatFromExtension(object.key) || "jpeg"].mimeType,
+    })),
+    nextCursor:
+      offset + RESOURCES_PAGE_SIZE < objects.length
+        ? String(offset + RESOURCES_PAGE_SIZE)
+        : undefined,
+  };
+}
 
 /**
- * Start the server using stdio transport
+ * Handler that reads a generated image resource
+ */
+async function handleReadResource(
+  request: ReadResourceRequest,
+  client?: Client
+) {
+  const uri = request.params.uri;
+  const key = keyFromResourceUri(uri);
+  // Only images are resources; the history, presets and sidecars are not
+  if (!key || !isImageKey(key) || !canAccess(client, imageOwners()(key))) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  const data = await storage.read(key);
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: imageMimeType(data),
+        blob: data.toString("base64"),
+      },
+    ],
+  };
+}
+
+/**
+ * Handler that lists the prompt recipes
+ */
+async function handleListPrompts() {
+  return { prompts: listPrompts() };
+}
+
+/**
+ * Handler that builds a prompt recipe's message from its arguments
+ */
+async function handleGetPrompt(request: GetPromptRequest) {
+  return getPrompt(request.params.name, request.params.arguments);
+}
+
+/**
+ * Create an MCP server with image generation capabilities
+ *
+ * stdio mode runs a single server; HTTP mode creates one per client session,
+ * acting for the session's authenticated client.
+ */
+function createServer(client?: Client): Server {
+  const server = new Server(
+    {
+      name: "seedream4-replicate-server",
+      version: "0.2.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+        logging: {},
+      },
+    }
+  );
+
+  // Least severe level of forwarded log messages, as set by the client
+  let logLevel: LoggingLevel = "info";
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+    calls
+      .run((signal) =>
+        handleCallTool(request, {
+          client,
+          signal: AbortSignal.any([extra.signal, signal]),
+          progress: new ProgressReporter(
+            (notification) => server.notification(notification),
+            request.params._meta?.progressToken,
+            () => logLevel
+          ),
+        })
+      )
+      .catch((error) => {
+        if (
+          error instanceof ServerClosingError ||
+          error instanceof StrayRejectionError
+        ) {
+          return jobToolError(`call ${request.params.name}`, error);
+        }
+        throw error;
+      })
+  );
+  server.setRequestHandler(ListResourcesRequestSchema, (request) =>
+    handleListResources(request, client)
+  );
+  server.setRequestHandler(ReadResourceRequestSchema, (request) =>
+    handleReadResource(request, client)
+  );
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    logLevel = request.params.level;
+    return {};
+  });
+  return server;
+}
+
+/**
+ * Count the images clients generated earlier today against their quotas, so a
+ * restart doesn't reset them
+ */
+async function restoreTodaysUsage(registry: ClientRegistry): Promise<void> {
+  const { records } = history.search({
+    from: utcDate(),
+    limit: Math.max(history.size, 1),
+  });
+  for (const summary of summarizeUsage(records, COST_PER_IMAGE).values()) {
+    const client = summary.client ? registry.get(summary.client) : undefined;
+    if (client) {
+      await registry.restoreImages(client, summary.images);
+    }
+  }
+}
+
+/**
+ * Start the server on stdio, or over HTTP when MCP_TRANSPORT is "http"
  */
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  log("info", "SeedDream 4.0 Replicate MCP server running on stdio");
+  await history.load();
+  log("debug", `Loaded ${history.size} generation(s) from ${HISTORY_PATH}`);
+
+  if (MCP_TRANSPORT === "http") {
+    if (CLIENTS_PATH) {
+      clients = new ClientRegistry(
+        await loadClients(CLIENTS_PATH),
+        {
+          rateLimit: CLIENT_RATE_LIMIT,
+          dailyImages: CLIENT_DAILY_IMAGES,
+          dailyCredits: CLIENT_DAILY_CREDITS,
+        },
+        COST_PER_IMAGE
+      );
+      await restoreTodaysUsage(clients);
+      log(
+        "info",
+        `Loaded ${clients.clients.length} client(s) from ${CLIENTS_PATH}; requests need an API key`
+      );
+    } else if (!["127.0.0.1", "localhost", "::1"].includes(HTTP_HOST)) {
+      log(
+        "warn",
+        `Listening on ${HTTP_HOST} without CLIENTS_PATH: anyone who can reach the server can generate images with its Replicate token`
+      );
+    }
+
+    httpServer = await startHttpServer({
+      host: HTTP_HOST,
+      port: HTTP_PORT,
+      corsOrigins: CORS_ORIGINS,
+      maxBodySize: HTTP_MAX_BODY_SIZE,
+      sessionTimeout: HTTP_SESSION_TIMEOUT,
+      createServer,
+      authenticate: clients ? (key) => clients!.authenticate(key) : undefined,
+      log,
+    });
+    log(
+      "info",
+      `SeedDream 4.0 Replicate MCP server listening on http://${HTTP_HOST}:${HTTP_PORT} (Streamable HTTP at /mcp, SSE at /sse)`
+    );
+  } else {
+    if (MCP_TRANSPORT !== "stdio") {
+      log("warn", `Unknown MCP_TRANSPORT "${MCP_TRANSPORT}", using stdio`);
+    }
+    if (CLIENTS_PATH) {
+      log("warn", "CLIENTS_PATH only applies in HTTP mode; ignoring it");
+    }
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    log("info", "SeedDream 4.0 Replicate MCP server running on stdio");
+  }
   log("debug", "Server ready to accept requests");
 }
 
-// Graceful shutdown handlers
-process.on("SIGINT", () => {
-  log("info", "Received SIGINT, shutting down gracefully...");
-  process.exit(0);
-});
+/**
+ * Stop taking tool calls, give the ones in flight up to SHUTDOWN_GRACE_PERIOD
+ * to finish, record the generations still running on Replicate so they can be
+ * retrieved after a restart, and exit
+ */
+async function shutdown(signal: string): Promise<void> {
+  if (shuttingDown) {
+    log("warn", `Received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log("info", `Received ${signal}, shutting down gracefully...`);
+
+  calls.close();
+  httpServer?.close();
+  if (calls.size > 0) {
+    log(
+      "info",
+      `Waiting up to ${SHUTDOWN_GRACE_PERIOD}ms for ${calls.size} tool call(s) to finish...`
+    );
+    if (!(await calls.drain(SHUTDOWN_GRACE_PERIOD))) {
+      log(
+        "warn",
+        `${calls.size} tool call(s) did not finish within ${SHUTDOWN_GRACE_PERIOD}ms`
+      );
+    }
+  }
+
+  // Their predictions carry on without the server; the history keeps their IDs
+  for (const job of inFlightJobs) {
+    await recordJob(job);
+    log(
+      "warn",
+      `Generation ${job.id} is still ${
+        job.status === "succeeded" ? "downloading" : job.status
+      }; retrieve it with get_generation_status after the restart`
+    );
+  }
 
-process.on("SIGTERM", () => {
-  log("info", "Received SIGTERM, shutting down gracefully...");
+  // Failed writes were already logged by recordJob
+  await history.flush();
+  log("info", "Shutdown complete");
   process.exit(0);
-});
+}
+
+process.on("SIGINT", () => void shutdown("SIGINT"));
+process.on("SIGTERM", () => void shutdown("SIGTERM"));
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
@@ -596,7 +3432,13 @@ process.on("uncaughtException", (error) => {
   process.exit(1);
 });
 
+// A stray rejection fails the tool call it came from, not the whole server;
+// outside any call there is nothing to blame it on, so the server exits
 process.on("unhandledRejection", (reason, promise) => {
+  if (calls.failCurrent(reason)) {
+    log("error", "Unhandled rejection in a tool call:", reason);
+    return;
+  }
   log("error", "Unhandled rejection at:", { promise, reason });
   process.exit(1);
 });
@@ -0,0 +1,493 @@
+/**
+ * Registry of the Replicate models the server can run
+ *
+ * Each entry declares the model's Replicate ID, an optional pinned version, the
+ * schema of its inputs and the shape of its output. A generation tool is generated
+ * from every entry, so supporting another model only takes a new entry here.
+ */
+
+import Joi from "joi";
+import type { Violation } from "./errors.js";
+import {
+  MAX_TOTAL_IMAGES,
+  findConflicts,
+  resolveConflicts,
+  type ParameterAdjustment,
+} from "./param-conflicts.js";
+
+// Valid size options for SeedDream 4.0
+export const VALID_SIZES = ["1K", "2K", "4K", "custom"] as const;
+export type Size = (typeof VALID_SIZES)[number];
+
+// Valid aspect ratios for SeedDream 4.0 via Replicate
+export const VALID_ASPECT_RATIOS = [
+  "1:1",
+  "3:4",
+  "4:3",
+  "16:9",
+  "9:16",
+  "2:3",
+  "3:2",
+  "21:9",
+  "match_input_image",
+] as const;
+export type AspectRatio = (typeof VALID_ASPECT_RATIOS)[number];
+
+// Valid sequential generation modes
+export const VALID_SEQUENTIAL_MODES = ["disabled", "auto"] as const;
+export type SequentialMode = (typeof VALID_SEQUENTIAL_MODES)[number];
+
+/**
+ * Input payload sent to a model, as validated against its schema
+ */
+export type ModelInput = Record<string, unknown>;
+
+/**
+ * Input payload sent to the SeedDream 4.0 model on Replicate
+ */
+export interface SeedDream4Input {
+  prompt: string;
+  size: Size;
+  width?: number;
+  height?: number;
+  max_images: number;
+  image_input: string[];
+  aspect_ratio: AspectRatio;
+  sequential_image_generation: SequentialMode;
+}
+
+export interface ModelDefinition {
+  // Registry key, used in MODEL_VERSIONS
+  key: string;
+  name: string;
+  // Replicate model ID (owner/name)
+  replicateId: string;
+  // Version hash to run; unset runs the latest version
+  version?: string;
+  // Official models run without a version; others are resolved to their latest one
+  official: boolean;
+  // Name and description of the tool generated for the model
+  tool: string;
+  description: string;
+  // Schema of the model's input
+  input: Joi.ObjectSchema;
+  // Input fields holding image references, either lists or single references
+  imageArguments: string[];
+  // Shape of the prediction output: a list of image URLs, or a single one
+  output: "image_list" | "image";
+  // Fill in input fields the schema leaves unset
+  prepareInput?: (input: ModelInput) => ModelInput;
+  // Fewest and most images a call can produce (default: exactly one)
+  imageCount?: (input: ModelInput) => { min: number; max: number };
+  // Pixel size of the output, or a description when it isn't known in advance
+  outputSize?: (
+    input: ModelInput
+  ) => { width: number; height: number; estimated: boolean } | string;
+  // Summary lines of the input shown in results (default: every setting)
+  describeInput?: (input: ModelInput) => string[];
+  // Arguments that conflict; lenient calls have them corrected instead of rejected
+  conflicts?: {
+    find: (args: Record<string, any>, provided: Set<string>) => Violation[];
+    resolve: <T extends Record<string, any>>(
+      args: T,
+      provided: Set<string>,
+      lenient: boolean
+    ) => { args: T; adjustments: ParameterAdjustment[] };
+  };
+}
+
+/**
+ * Accept http(s) URLs, file:// and data: URIs and plain file paths
+ */
+const imageReference: Joi.CustomValidator<string> = (value, helpers) => {
+  if (/^https?:/i.test(value)) {
+    try {
+      if (new URL(value).host) {
+        return value;
+      }
+    } catch {
+      // Reported below
+    }
+    return helpers.message({ custom: "must be a valid http(s) URL" });
+  }
+  // Any other scheme is unsupported; single letters are Windows drive paths
+  if (/^[a-z][a-z0-9+.-]+:/i.test(value) && !/^(file|data):/i.test(value)) {
+    return helpers.message({
+      custom:
+        "must be an http(s) URL, a file path, a file:// URI or a data: URI",
+    });
+  }
+  return value;
+};
+
+export const IMAGE_REFERENCE_FORMS =
+  "an http(s) URL, a local file path (absolute, or relative to the working directory or image storage directory), a file:// URI or a data: URI";
+
+export const imageSchema = Joi.string()
+  .min(1)
+  .custom(imageReference, "image reference");
+
+const seed = Joi.number()
+  .integer()
+  .min(0)
+  .max(2147483647)
+  .description("Random seed for reproducible results. Range: 0-2147483647.");
+
+// Output dimensions of each SeedDream 4.0 aspect ratio at the 2K size; 1K and 4K scale them
+const DIMENSIONS_2K: Record<
+  Exclude<AspectRatio, "match_input_image">,
+  [number, number]
+> = {
+  "1:1": [2048, 2048],
+  "3:4": [1728, 2304],
+  "4:3": [2304, 1728],
+  "16:9": [2560, 1440],
+  "9:16": [1440, 2560],
+  "2:3": [1664, 2496],
+  "3:2": [2496, 1664],
+  "21:9": [3024, 1296],
+};
+const SIZE_SCALES: Record<Exclude<Size, "custom">, number> = {
+  "1K": 0.5,
+  "2K": 1,
+  "4K": 2,
+};
+// Longest side SeedDream 4.0 outputs
+const MAX_OUTPUT_SIDE = 4096;
+
+const seedream4: ModelDefinition = {
+  key: "seedream-4",
+  name: "SeedDream 4.0",
+  replicateId: "bytedance/seedream-4",
+  official: true,
+  tool: "generate_image",
+  description:
+    "Generate images using Bytedance's SeedDream 4.0 model via Replicate. Supports bilingual prompts (Chinese and English), high-resolution output up to 4K, image-to-image generation, and sequential image generation.",
+  input: Joi.object({
+    prompt: Joi.string()
+      .trim()
+      .min(1)
+      .required()
+      .description(
+        "The text prompt used to generate the image. Supports both English and Chinese. Be descriptive for best results."
+      ),
+    size: Joi.string()
+      .valid(...VALID_SIZES)
+      .default("2K")
+      .description(
+        "Image resolution: 1K (1024px), 2K (2048px), 4K (4096px), or 'custom' for specific dimensions."
+      ),
+    width: Joi.number()
+      .integer()
+      .min(1024)
+      .max(4096)
+      .meta({ default: 2048 })
+      .description(
+        "Custom image width (only used when size='custom'). Range: 1024-4096 pixels."
+      ),
+    height: Joi.number()
+      .integer()
+      .min(1024)
+      .max(4096)
+      .meta({ default: 2048 })
+      .description(
+        "Custom image height (only used when size='custom'). Range: 1024-4096 pixels."
+      ),
+    max_images: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_TOTAL_IMAGES)
+      .default(1)
+      .description(
+        "Maximum number of images to generate when sequential_image_generation='auto'. Range: 1-15. Total images (input + generated) cannot exceed 15."
+      ),
+    image_input: Joi.array()
+      .items(imageSchema)
+      .max(10)
+      .default([])
+      .description(
+        `Input images for image-to-image generation. List of 1-10 images for single or multi-reference generation. Each entry can be ${IMAGE_REFERENCE_FORMS}.`
+      ),
+    aspect_ratio: Joi.string()
+      .valid(...VALID_ASPECT_RATIOS)
+      .default("match_input_image")
+      .description(
+        "Image aspect ratio. Only used when size is not 'custom'. Use 'match_input_image' to automatically match the input image's aspect ratio."
+      ),
+    sequential_image_generation: Joi.string()
+      .valid(...VALID_SEQUENTIAL_MODES)
+      .default("disabled")
+      .description(
+        "Group image generation mode. 'disabled' generates a single image. 'auto' lets the model decide whether to generate multiple related images (e.g., story scenes, character variations)."
+      ),
+  }),
+  imageArguments: ["image_input"],
+  output: "image_list",
+  // Custom dimensions replace the aspect ratio with the custom size
+  prepareInput: ({ width, height, aspect_ratio, ...input }) =>
+    input.size === "custom"
+      ? { ...input, width: width || 2048, height: height || 2048 }
+      : { ...input, aspect_ratio },
+  imageCount: (input) => ({
+    min: 1,
+    max:
+      input.sequential_image_generation === "auto"
+        ? (input.max_images as number)
+        : 1,
+  }),
+  outputSize: (raw) => {
+    const input = raw as unknown as SeedDream4Input;
+    if (input.size === "custom") {
+      return { width: input.width!, height: input.height!, estimated: false };
+    }
+    if (input.aspect_ratio === "match_input_image") {
+      return "matches the input image";
+    }
+
+    const [width, height] = DIMENSIONS_2K[input.aspect_ratio];
+    const scale = Math.min(
+      SIZE_SCALES[input.size],
+      MAX_OUTPUT_SIDE / Math.max(width, height)
+    );
+    return {
+      width: Math.round(width * scale),
+      height: Math.round(height * scale),
+      estimated: true,
+    };
+  },
+  // Inputs of calls that failed validation may lack any of these
+  describeInput: (input) => [
+    `Size: ${input.size ?? "unknown"}${
+      input.size === "custom" ? ` (${input.width}x${input.height})` : ""
+    }`,
+    ...(input.size === "custom"
+      ? []
+      : [`Aspect Ratio: ${input.aspect_ratio ?? "unknown"}`]),
+    `Max Images: ${input.max_images ?? "unknown"}`,
+    `Sequential Generation: ${input.sequential_image_generation ?? "unknown"}`,
+  ],
+  conflicts: { find: findConflicts, resolve: resolveConflicts },
+};
+
+const seedream3: ModelDefinition = {
+  key: "seedream-3",
+  name: "SeedDream 3.0",
+  replicateId: "bytedance/seedream-3",
+  official: true,
+  tool: "generate_image_seedream3",
+  description:
+    "Generate an image with Bytedance's SeedDream 3.0 text-to-image model via Replicate. Supports bilingual prompts (Chinese and English) and native 2K output.",
+  input: Joi.object({
+    prompt: Joi.string()
+      .trim()
+      .min(1)
+      .required()
+      .description("Text description of the image to generate."),
+    aspect_ratio: Joi.string()
+      .valid(
+        "1:1",
+        "3:4",
+        "4:3",
+        "16:9",
+        "9:16",
+        "2:3",
+        "3:2",
+        "21:9",
+        "custom"
+      )
+      .default("16:9")
+      .description(
+        "Image aspect ratio. Use 'custom' to set width and height instead."
+      ),
+    size: Joi.string()
+      .valid("small", "regular", "big")
+      .default("regular")
+      .description(
+        "Image size: 'small' (shortest side 512px), 'regular' (1 megapixel) or 'big' (longest side 2048px). Ignored when aspect_ratio is 'custom'."
+      ),
+    width: Joi.number()
+      .integer()
+      .min(512)
+      .max(2048)
+      .meta({ default: 2048 })
+      .description(
+        "Image width (only used when aspect_ratio='custom'). Range: 512-2048 pixels."
+      ),
+    height: Joi.number()
+      .integer()
+      .min(512)
+      .max(2048)
+      .meta({ default: 2048 })
+      .description(
+        "Image height (only used when aspect_ratio='custom'). Range: 512-2048 pixels."
+      ),
+    guidance_scale: Joi.number()
+      .min(1)
+      .max(10)
+      .default(2.5)
+      .description(
+        "Prompt adherence; higher values follow the prompt more literally. Range: 1-10."
+      ),
+    seed,
+  }),
+  imageArguments: [],
+  output: "image",
+  outputSize: (input) =>
+    input.aspect_ratio === "custom" && input.width && input.height
+      ? {
+          width: input.width as number,
+          height: input.height as number,
+          estimated: false,
+        }
+      : `${input.size} size at ${input.aspect_ratio}`,
+};
+
+const seededit3: ModelDefinition = {
+  key: "seededit-3",
+  name: "SeedEdit 3.0",
+  replicateId: "bytedance/seededit-3.0",
+  official: true,
+  tool: "edit_image",
+  description:
+    "Edit an existing image from a text instruction with Bytedance's SeedEdit 3.0 model via Replicate, keeping the parts of the image the instruction doesn't mention.",
+  input: Joi.object({
+    image: imageSchema
+      .required()
+      .description(`The image to edit. Can be ${IMAGE_REFERENCE_FORMS}.`),
+    prompt: Joi.string()
+      .trim()
+      .min(1)
+      .required()
+      .description(
+        "Instruction describing the edit, e.g. 'make the sky a sunset'."
+      ),
+    guidance_scale: Joi.number()
+      .min(1)
+      .max(10)
+      .default(5.5)
+      .description(
+        "Prompt adherence; higher values follow the instruction more literally. Range: 1-10."
+      ),
+    seed,
+  }),
+  imageArguments: ["image"],
+  output: "image",
+  outputSize: () => "matches the input image",
+};
+
+const realEsrgan: ModelDefinition = {
+  key: "real-esrgan",
+  name: "Real-ESRGAN",
+  replicateId: "nightmareai/real-esrgan",
+  official: false,
+  tool: "upscale_image",
+  description:
+    "Upscale an image with Real-ESRGAN via Replicate, optionally restoring faces.",
+  input: Joi.object({
+    image: imageSchema
+      .required()
+      .description(`The image to upscale. Can be ${IMAGE_REFERENCE_FORMS}.`),
+    scale: Joi.number()
+      .min(1)
+      .max(10)
+      .default(4)
+      .description("Factor to scale the image by. Range: 1-10."),
+    face_enhance: Joi.boolean()
+      .default(false)
+      .description("Restore faces with GFPGAN while upscaling."),
+  }),
+  imageArguments: ["image"],
+  output: "image",
+  outputSize: (input) => `${input.scale}x the input image`,
+};
+
+export const MODELS: ModelDefinition[] = [
+  seedream4,
+  seedream3,
+  seededit3,
+  realEsrgan,
+];
+
+/**
+ * The model a generation tool runs
+ */
+export function modelForTool(tool: string): ModelDefinition | undefined {
+  return MODELS.find((model) => model.tool === tool);
+}
+
+/**
+ * The registry entry of a Replicate model ID
+ */
+export function modelForReplicateId(
+  replicateId: string | undefined
+): ModelDefinition | undefined {
+  return MODELS.find((model) => model.replicateId === replicateId);
+}
+
+/**
+ * Summary lines of a model input
+ */
+export function describeModelInput(
+  model: ModelDefinition,
+  input: ModelInput
+): string[] {
+  if (model.describeInput) {
+    return model.describeInput(input);
+  }
+
+  // Every setting except the prompt and images, e.g. "Guidance Scale: 2.5"
+  return Object.entries(input)
+    .filter(
+      ([key, value]) =>
+        key !== "prompt" &&
+        !model.imageArguments.includes(key) &&
+        value !== undefined
+    )
+    .map(
+      ([key, value]) =>
+        `${key
+          .split("_")
+          .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+          .join(" ")}: ${value}`
+    );
+}
+
+/**
+ * Every image reference in a model input, in order
+ */
+export function imageReferences(
+  model: ModelDefinition,
+  input: ModelInput
+): string[] {
+  return model.imageArguments.flatMap((name) => {
+    const value = input[name];
+    if (Array.isArray(value)) {
+      return value as string[];
+    }
+    return typeof value === "string" ? [value] : [];
+  });
+}
+
+/**
+ * Replace every image reference in a model input, keeping lists in order
+ *
+ * `label` names where each reference came from, e.g. "image_input[2]".
+ */
+export async function mapImageReferences(
+  model: ModelDefinition,
+  input: ModelInput,
+  fn: (ref: string, label: string) => string | Promise<string>
+): Promise<ModelInput> {
+  const mapped = { ...input };
+  for (const name of model.imageArguments) {
+    const value = input[name];
+    if (Array.isArray(value)) {
+      mapped[name] = await Promise.all(
+        value.map((ref: string, i) => fn(ref, `${name}[${i}]`))
+      );
+    } else if (typeof value === "string") {
+      mapped[name] = await fn(value, name);
+    }
+  }
+  return mapped;
+}
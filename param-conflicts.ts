@@ -0,0 +1,145 @@
+/**
+ * Conflicts between generate_image arguments
+ *
+ * Some SeedDream 4.0 parameters only take effect in combination with others, and
+ * the model silently ignores them otherwise. Calls that set a parameter where it
+ * has no effect are rejected with an explanation, or, in lenient mode, corrected,
+ * with every adjustment reported back so the caller learns the right usage.
+ * Conflicts that only come from the default of the argument they concern are
+ * not the caller's doing, so they are always corrected.
+ */
+
+import type { Violation } from "./errors.js";
+
+// Input plus generated images may not exceed this many
+export const MAX_TOTAL_IMAGES = 15;
+
+/**
+ * A change made to a conflicting argument in lenient mode
+ */
+export interface ParameterAdjustment {
+  parameter: string;
+  from: unknown;
+  // null when the argument was dropped
+  to: unknown;
+  reason: string;
+}
+
+// Arguments are checked before their own validation has succeeded, so every
+// rule has to check the types of the values it uses
+type GenerationArguments = Record<string, any>;
+
+interface Conflict {
+  // Argument the conflict is reported under and corrected in
+  parameter: string;
+  // `provided` holds the names of the arguments the caller set explicitly
+  applies: (args: GenerationArguments, provided: Set<string>) => boolean;
+  explain: (args: GenerationArguments) => string;
+  // Value the argument is corrected to; undefined drops it
+  correct: (args: GenerationArguments) => unknown;
+}
+
+// Checked in order; in lenient mode each sees the corrections of the ones before
+const CONFLICTS: Conflict[] = [
+  {
+    parameter: "aspect_ratio",
+    applies: (args, provided) =>
+      provided.has("aspect_ratio") && args.size === "custom",
+    explain: (args) =>
+      `aspect_ratio "${args.aspect_ratio}" is ignored when size is "custom", which always produces width x height. Leave out aspect_ratio, or use size 1K, 2K or 4K to apply it`,
+    correct: () => undefined,
+  },
+  {
+    parameter: "aspect_ratio",
+    // Also applies to the default, which text-to-image calls rely on
+    applies: (args) =>
+      args.aspect_ratio === "match_input_image" &&
+      args.size !== "custom" &&
+      Array.isArray(args.image_input) &&
+      args.image_input.length === 0,
+    explain: () =>
+      `aspect_ratio "match_input_image" needs at least one image in image_input. Pass an input image, or choose an explicit ratio such as "1:1"`,
+    correct: () => "1:1",
+  },
+  {
+    parameter: "max_images",
+    applies: (args, provided) =>
+      provided.has("max_images") &&
+      Number.isInteger(args.max_images) &&
+      args.max_images > 1 &&
+      args.sequential_image_generation === "disabled",
+    explain: (args) =>
+      `max_images (${args.max_images}) only applies when sequential_image_generation is "auto"; with "disabled" exactly one image is generated. Set sequential_image_generation to "auto" to allow up to ${args.max_images} images`,
+    correct: () => 1,
+  },
+  {
+    parameter: "max_images",
+    applies: (args) =>
+      Number.isInteger(args.max_images) &&
+      Array.isArray(args.image_input) &&
+      args.sequential_image_generation === "auto" &&
+      args.max_images + args.image_input.length > MAX_TOTAL_IMAGES,
+    explain: (args) =>
+      `max_images (${args.max_images}) plus the number of input images (${
+        args.image_input.length
+      }) must not exceed ${MAX_TOTAL_IMAGES}, so at most ${
+        MAX_TOTAL_IMAGES - args.image_input.length
+      } images can be generated from ${args.image_input.length} inputs`,
+    correct: (args) => MAX_TOTAL_IMAGES - args.image_input.length,
+  },
+];
+
+/**
+ * Every conflict between the arguments the caller set, as validation violations
+ */
+export function findConflicts(
+  args: GenerationArguments,
+  provided: Set<string>
+): Violation[] {
+  return CONFLICTS.filter(
+    (conflict) =>
+      provided.has(conflict.parameter) && conflict.applies(args, provided)
+  ).map((conflict) => ({
+    path: conflict.parameter,
+    message: conflict.explain(args),
+  }));
+}
+
+/**
+ * Correct conflicting arguments, returning the corrected copy and what changed.
+ * Unless `lenient`, only conflicts of arguments left at their default are
+ * corrected; the others are rejected by findConflicts.
+ */
+export function resolveConflicts<T extends GenerationArguments>(
+  args: T,
+  provided: Set<string>,
+  lenient: boolean
+): { args: T; adjustments: ParameterAdjustment[] } {
+  const corrected: GenerationArguments = { ...args };
+  const adjustments: ParameterAdjustment[] = [];
+
+  for (const conflict of CONFLICTS) {
+    if (
+      (!lenient && provided.has(conflict.parameter)) ||
+      !conflict.applies(corrected, provided)
+    ) {
+      continue;
+    }
+    const reason = conflict.explain(corrected);
+    const from = corrected[conflict.parameter];
+    const to = conflict.correct(corrected);
+    if (to === undefined) {
+      delete corrected[conflict.parameter];
+    } else {
+      corrected[conflict.parameter] = to;
+    }
+    adjustments.push({
+      parameter: conflict.parameter,
+      from,
+      to: to ?? null,
+      reason,
+    });
+  }
+
+  return { args: corrected as T, adjustments };
+}
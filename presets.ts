@@ -0,0 +1,210 @@
+/**
+ * Named generation presets
+ *
+ * A preset bundles a prompt template with {{variables}} and default arguments of
+ * a generation tool (size, aspect ratio, reference images, ...), so a team can
+ * share a house style instead of every caller rewriting the same long prompt.
+ * Presets are kept in a JSON file, keyed by name, that can be edited by hand or
+ * through the save_preset tool.
+ */
+
+import Joi from "joi";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import * as path from "path";
+import type { Violation } from "./errors.js";
+import { MODELS } from "./models.js";
+
+/**
+ * A saved preset
+ */
+export interface Preset {
+  name: string;
+  description?: string;
+  // Generation tool the preset's arguments are meant for
+  tool: string;
+  // Prompt template, e.g. "Product photo of {{product}} on {{background}}"
+  prompt?: string;
+  // Default values of template variables
+  variables?: Record<string, string>;
+  // Default arguments of the tool; the caller's arguments take precedence
+  arguments?: Record<string, unknown>;
+}
+
+export const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// Shape of a preset as stored in the file, keyed by its name
+const storedPresetSchema = Joi.object({
+  description: Joi.string(),
+  tool: Joi.string()
+    .valid(...MODELS.map((model) => model.tool))
+    .default("generate_image"),
+  prompt: Joi.string().min(1),
+  variables: Joi.object().pattern(Joi.string(), Joi.string()),
+  arguments: Joi.object().unknown(true),
+});
+
+/**
+ * Names of the variables a prompt template uses, in order of appearance
+ */
+export function templateVariables(template: string): string[] {
+  return [
+    ...new Set(
+      [...template.matchAll(VARIABLE_PATTERN)].map((match) => match[1])
+    ),
+  ];
+}
+
+/**
+ * Apply a preset to the arguments of a generation tool call
+ *
+ * The caller's arguments override the preset's defaults. When the preset has a
+ * prompt template, it is filled in from `variables`, with the caller's `prompt`
+ * available as {{prompt}}. Problems are returned as violations of the call's
+ * arguments.
+ */
+export function applyPreset(
+  preset: Preset,
+  args: Record<string, unknown>
+): { args: Record<string, unknown>; violations: Violation[] } {
+  const { variables: given, ...rest } = args;
+  const callerVariables = (
+    given && typeof given === "object" ? given : {}
+  ) as Record<string, unknown>;
+  const merged: Record<string, unknown> = { ...preset.arguments, ...rest };
+  const violations: Violation[] = [];
+
+  if (preset.prompt) {
+    const names = templateVariables(preset.prompt);
+    const values: Record<string, unknown> = {
+      ...preset.variables,
+      ...(typeof args.prompt === "string" ? { prompt: args.prompt } : {}),
+      ...callerVariables,
+    };
+
+    if (args.prompt !== undefined && !names.includes("prompt")) {
+      violations.push({
+        path: "prompt",
+        message: `preset "${preset.name}" builds the prompt from its template; pass variables instead`,
+      });
+    }
+    for (const name of names) {
+      if (values[name] === undefined) {
+        violations.push({
+          path: `variables.${name}`,
+          message: `is required by preset "${preset.name}"`,
+        });
+      }
+    }
+    for (const name of Object.keys(callerVariables)) {
+      if (!names.includes(name)) {
+        violations.push({
+          path: `variables.${name}`,
+          message: `is not used by preset "${preset.name}"`,
+        });
+      }
+    }
+
+    merged.prompt = preset.prompt.replace(VARIABLE_PATTERN, (match, name) =>
+      values[name] === undefined ? match : String(values[name])
+    );
+  } else if (Object.keys(callerVariables).length > 0) {
+    violations.push({
+      path: "variables",
+      message: `preset "${preset.name}" has no prompt template`,
+    });
+  }
+
+  return { args: merged, violations };
+}
+
+export class PresetStore {
+  // Serializes saves so concurrent updates don't overwrite each other
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(readonly filePath: string) {}
+
+  /**
+   * Read the presets file, listing presets that are invalid instead of failing
+   *
+   * The file is read on every call, so edits made by hand apply without a restart.
+   */
+  async load(): Promise<{ presets: Preset[]; problems: string[] }> {
+    let contents: string;
+    try {
+      contents = await readFile(this.filePath, "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return { presets: [], problems: [] };
+      }
+      throw error;
+    }
+
+    let stored: unknown;
+    try {
+      stored = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(
+        `Presets file ${this.filePath} is not valid JSON: ${
+          error instanceof Error ? error.message : error
+        }`
+      );
+    }
+    if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+      throw new Error(
+        `Presets file ${this.filePath} must hold an object keyed by preset name`
+      );
+    }
+
+    const presets: Preset[] = [];
+    const problems: string[] = [];
+    for (const [name, value] of Object.entries(stored)) {
+      if (!PRESET_NAME_PATTERN.test(name)) {
+        problems.push(`${name}: invalid preset name`);
+        continue;
+      }
+      const { value: preset, error } = storedPresetSchema.validate(value, {
+        errors: { label: "path" },
+      });
+      if (error) {
+        problems.push(`${name}: ${error.message}`);
+        continue;
+      }
+      presets.push({ name, ...preset });
+    }
+    return { presets, problems };
+  }
+
+  async get(name: string): Promise<Preset | undefined> {
+    const { presets } = await this.load();
+    return presets.find((preset) => preset.name === name);
+  }
+
+  /**
+   * Add or replace a preset, keeping the other entries of the file as they are
+   */
+  save(preset: Preset): Promise<void> {
+    const write = this.writes.then(async () => {
+      let stored: Record<string, unknown> = {};
+      try {
+        stored = JSON.parse(await readFile(this.filePath, "utf8"));
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+          throw error;
+        }
+      }
+
+      const { name, ...entry } = preset;
+      stored[name] = entry;
+
+      const tempPath = `${this.filePath}.tmp`;
+      await mkdir(path.dirname(this.filePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify(stored, null, 2) + "\n", "utf8");
+      await rename(tempPath, this.filePath);
+    });
+    // A failed save is reported to its caller without blocking later ones
+    this.writes = write.catch(() => {});
+    return write;
+  }
+}
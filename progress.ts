@@ -0,0 +1,177 @@
+/**
+ * Progress and log notifications of a tool call
+ *
+ * A generation can take minutes. While it runs, the server reports its phase
+ * (queued, starting, processing, downloading) as MCP progress notifications for
+ * the request's progressToken, and forwards the prediction's Replicate logs as
+ * MCP log messages, so the client can show that work is happening.
+ */
+
+import type { Prediction } from "replicate";
+import type {
+  LoggingLevel,
+  ProgressToken,
+  ServerNotification,
+} from "@modelcontextprotocol/sdk/types.js";
+
+// Severity order of MCP log levels, least severe first
+const LOGGING_LEVELS: LoggingLevel[] = [
+  "debug",
+  "info",
+  "notice",
+  "warning",
+  "error",
+  "critical",
+  "alert",
+  "emergency",
+];
+
+// Progress is reported out of 100, split between the phases of a generation
+const PROGRESS_TOTAL = 100;
+const STARTING_PROGRESS = 5;
+const PROCESSING_PROGRESS = 10;
+const DOWNLOADING_PROGRESS = 80;
+
+// Percentage of a progress bar in model logs, e.g. " 45%|████▌     | 9/20"
+const LOG_PERCENTAGE = /(\d{1,3})%\|/g;
+
+/**
+ * Whether a log message is severe enough for the level a client asked for
+ */
+export function shouldLog(level: LoggingLevel, minimum: LoggingLevel): boolean {
+  return LOGGING_LEVELS.indexOf(level) >= LOGGING_LEVELS.indexOf(minimum);
+}
+
+/**
+ * How far along the model is, from the last progress bar in its logs
+ */
+function logPercentage(logs: string): number | undefined {
+  const matches = [...logs.matchAll(LOG_PERCENTAGE)];
+  if (matches.length === 0) {
+    return undefined;
+  }
+  return Math.min(100, parseInt(matches[matches.length - 1][1]));
+}
+
+export class ProgressReporter {
+  private progress = -1;
+  private message = "";
+  // Length of each prediction's logs already forwarded, by prediction ID
+  private readonly forwardedLogs = new Map<string, number>();
+
+  /**
+   * @param send Sends a notification to the client; failures are ignored
+   * @param progressToken Token of the request, if the client asked for progress
+   * @param logLevel Least severe log level the client wants to receive
+   */
+  constructor(
+    private readonly send: (notification: ServerNotification) => Promise<void>,
+    private readonly progressToken?: ProgressToken,
+    private readonly logLevel: () => LoggingLevel = () => "info"
+  ) {}
+
+  /**
+   * Report progress out of 100; progress never goes backwards, and unchanged
+   * reports are not sent again
+   */
+  async report(progress: number, message: string): Promise<void> {
+    if (this.progressToken === undefined) {
+      return;
+    }
+    const value = Math.max(this.progress, Math.round(progress));
+    if (value === this.progress && message === this.message) {
+      return;
+    }
+    this.progress = value;
+    this.message = message;
+    await this.notify({
+      method: "notifications/progress",
+      params: {
+        progressToken: this.progressToken,
+        progress: value,
+        total: PROGRESS_TOTAL,
+        message,
+      },
+    });
+  }
+
+  queued(position: number): Promise<void> {
+    return this.report(0, `Queued at position ${position}`);
+  }
+
+  /**
+   * Report the state of a prediction and forward its new log lines
+   */
+  async prediction(prediction: Prediction): Promise<void> {
+    await this.forwardLogs(prediction);
+
+    if (prediction.status === "starting") {
+      await this.report(STARTING_PROGRESS, "Starting the model");
+    } else if (prediction.status === "processing") {
+      const percentage = logPercentage(prediction.logs || "");
+      await this.report(
+        PROCESSING_PROGRESS +
+          ((DOWNLOADING_PROGRESS - PROCESSING_PROGRESS) * (percentage ?? 0)) /
+            100,
+        percentage !== undefined ? `Generating (${percentage}%)` : "Generating"
+      );
+    }
+  }
+
+  /**
+   * Report how many of a prediction's images are saved
+   */
+  downloaded(done: number, total: number): Promise<void> {
+    return this.report(
+      DOWNLOADING_PROGRESS +
+        ((PROGRESS_TOTAL - DOWNLOADING_PROGRESS) * done) / total,
+      done === 0
+        ? `Downloading ${total} image(s)`
+        : `Downloaded image ${done} of ${total}`
+    );
+  }
+
+  /**
+   * Send the log lines a prediction has added since the last call as MCP log
+   * messages
+   */
+  private async forwardLogs(prediction: Prediction): Promise<void> {
+    const logs = prediction.logs || "";
+    const offset = this.forwardedLogs.get(prediction.id) ?? 0;
+    // Only whole lines are sent, unless the prediction is done
+    const end = prediction.completed_at
+      ? logs.length
+      : logs.lastIndexOf("\n") + 1;
+    if (end <= offset) {
+      return;
+    }
+    this.forwardedLogs.set(prediction.id, end);
+
+    if (!shouldLog("info", this.logLevel())) {
+      return;
+    }
+    const lines = logs
+      .slice(offset, end)
+      .split(/\r?\n|\r/)
+      .map((line) => line.trimEnd())
+      .filter(Boolean);
+    for (const line of lines) {
+      await this.notify({
+        method: "notifications/message",
+        params: {
+          level: "info",
+          logger: "replicate",
+          data: `[${prediction.id}] ${line}`,
+        },
+      });
+    }
+  }
+
+  private async notify(notification: ServerNotification): Promise<void> {
+    try {
+      await this.send(notification);
+    } catch {
+      // The client may have gone away; the generation carries on regardless
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * MCP prompt recipes
+ *
+ * Curated prompts for the workflows SeedDream 4.0 is best at. Each recipe takes
+ * a few arguments and produces a ready-made message that asks the client to make
+ * a specific generation tool call, with prompt wording and parameters chosen for
+ * that kind of image.
+ */
+
+import { MAX_TOTAL_IMAGES } from "./param-conflicts.js";
+
+/**
+ * An argument of a prompt recipe; MCP prompt arguments are always strings
+ */
+interface RecipeArgument {
+  name: string;
+  description: string;
+  required?: boolean;
+}
+
+interface PromptRecipe {
+  name: string;
+  description: string;
+  arguments: RecipeArgument[];
+  // Build the message text from the arguments, which have been checked for presence
+  build: (args: Record<string, string>) => string;
+}
+
+/**
+ * Split a list argument given one item per line (or separated by "|")
+ */
+function listArgument(value: string): string[] {
+  return value
+    .split(/\n|\|/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Message asking the client to call a tool with the given arguments
+ */
+function toolRequest(
+  tool: string,
+  intro: string,
+  args: Record<string, unknown>,
+  notes: string[] = []
+): string {
+  return `${intro}
+
+Call the ${tool} tool with these arguments:
+
+\`\`\`json
+${JSON.stringify(args, null, 2)}
+\`\`\`${
+    notes.length > 0 ? `\n\n${notes.map((note) => `- ${note}`).join("\n")}` : ""
+  }`;
+}
+
+const RECIPES: PromptRecipe[] = [
+  {
+    name: "bilingual-text-layout",
+    description:
+      "Poster, cover or sign with crisp typography in English, Chinese or both, using SeedDream 4.0's text rendering.",
+    arguments: [
+      {
+        name: "text",
+        description:
+          "Exact text to render. Use one line per text block, e.g. a headline and a Chinese subtitle.",
+        required: true,
+      },
+      {
+        name: "subject",
+        description:
+          "What the design is about, e.g. 'a jazz festival poster' (default: 'a poster').",
+      },
+      {
+        name: "style",
+        description:
+          "Visual style, e.g. 'Swiss minimalist' or 'ink wash painting' (default: 'clean modern graphic design').",
+      },
+      {
+        name: "aspect_ratio",
+        description: "Aspect ratio of the design (default: '3:4').",
+      },
+    ],
+    build: (args) => {
+      const blocks = listArgument(args.text)
+        .map((block) => `"${block}"`)
+        .join(", then ");
+      return toolRequest(
+        "generate_image",
+        `Design ${args.subject || "a poster"} with a clear typographic layout.`,
+        {
+          prompt: `${args.subject || "A poster"} in ${
+            args.style || "clean modern graphic design"
+          }. The text reads exactly ${blocks}, rendered crisply and legibly, with a clear hierarchy from headline to details, balanced margins and typography that matches the style.`,
+          size: "2K",
+          aspect_ratio: args.aspect_ratio || "3:4",
+        },
+        [
+          "Keep the quoted text exactly as given: SeedDream renders Chinese and English text verbatim when it is quoted in the prompt.",
+          "If a character comes out wrong, shorten the text or give it its own line rather than rephrasing the whole prompt.",
+        ]
+      );
+    },
+  },
+  {
+    name: "storyboard",
+    description:
+      "Storyboard of consecutive scenes with consistent characters and style, generated in one sequential generation.",
+    arguments: [
+      {
+        name: "scenes",
+        description: "Scene descriptions, one per line, in order.",
+        required: true,
+      },
+      {
+        name: "title",
+        description: "Title of the storyboard (default: 'Storyboard').",
+      },
+      {
+        name: "style",
+        description:
+          "Visual style shared by all frames (default: 'cinematic film still').",
+      },
+      {
+        name: "characters",
+        description:
+          "Description of the recurring characters, kept identical in every frame.",
+      },
+    ],
+    build: (args) => {
+      const allScenes = listArgument(args.scenes);
+      const scenes = allScenes.slice(0, MAX_TOTAL_IMAGES);
+      return toolRequest(
+        "generate_storyboard",
+        `Create a ${scenes.length}-frame storyboard${
+          allScenes.length > scenes.length
+            ? ` from the first ${scenes.length} of the ${allScenes.length} scenes`
+            : ""
+        }.`,
+        {
+          title: args.title || "Storyboard",
+          scenes,
+          style: args.style || "cinematic film still",
+          ...(args.characters ? { characters: args.characters } : {}),
+          aspect_ratio: "16:9",
+          contact_sheet: true,
+        },
+        [
+          `Present the frames in order with their scenes; the contact sheet shows them side by side.`,
+          `At most ${MAX_TOTAL_IMAGES} frames fit in one storyboard; split longer stories into several storyboards with the same characters description.`,
+        ]
+      );
+    },
+  },
+  {
+    name: "character-consistency",
+    description:
+      "New images of the same character from reference images, using multi-reference image input.",
+    arguments: [
+      {
+        name: "reference_images",
+        description:
+          "URLs or file paths of reference images of the character, one per line (up to 10).",
+        required: true,
+      },
+      {
+        name: "scene",
+        description: "What the character is doing in the new image.",
+        required: true,
+      },
+      {
+        name: "character",
+        description: "Name or short description of the character.",
+      },
+    ],
+    build: (args) => {
+      const references = listArgument(args.reference_images).slice(0, 10);
+      return toolRequest(
+        "generate_image",
+        `Show ${args.character || "the character"} from the reference images in a new scene.`,
+        {
+          prompt: `${
+            args.character || "The character"
+          } from the reference image${
+            references.length > 1 ? "s" : ""
+          }, with the same face, hairstyle, build and outfit details: ${
+            args.scene
+          }`,
+          image_input: references,
+          aspect_ratio: "match_input_image",
+          size: "2K",
+        },
+        [
+          "Reference images showing the character from different angles give the most consistent results.",
+          "To change the outfit, say so explicitly in the prompt; otherwise it is kept from the references.",
+        ]
+      );
+    },
+  },
+  {
+    name: "portrait-photography",
+    description:
+      "Photorealistic portrait with cinematic lighting and photographic detail.",
+    arguments: [
+      {
+        name: "subject",
+        description:
+          "Who is portrayed, e.g. 'an elderly fisherman with a weathered face'.",
+        required: true,
+      },
+      {
+        name: "lighting",
+        description: "Lighting setup (default: 'soft window light').",
+      },
+      {
+        name: "setting",
+        description:
+          "Background or location (default: 'a softly blurred studio').",
+      },
+      {
+        name: "mood",
+        description: "Mood of the portrait, e.g. 'contemplative'.",
+      },
+    ],
+    build: (args) =>
+      toolRequest(
+        "generate_image",
+        `Take a photorealistic portrait of ${args.subject}.`,
+        {
+          prompt: `Photorealistic portrait of ${args.subject}, ${
+            args.lighting || "soft window light"
+          }, in ${args.setting || "a softly blurred studio"}${
+            args.mood ? `, ${args.mood} mood` : ""
+          }. Shot on an 85mm lens at f/1.8, shallow depth of field, natural skin texture, sharp focus on the eyes, cinematic color grading.`,
+          size: "2K",
+          aspect_ratio: "2:3",
+        },
+        [
+          "Portrait aspect ratios (2:3 or 3:4) suit head-and-shoulders framing; use 16:9 for environmental portraits.",
+        ]
+      ),
+  },
+];
+
+/**
+ * The prompts advertised through prompts/list
+ */
+export function listPrompts() {
+  return RECIPES.map((recipe) => ({
+    name: recipe.name,
+    description: recipe.description,
+    arguments: recipe.arguments.map((argument) => ({
+      name: argument.name,
+      description: argument.description,
+      required: argument.required ?? false,
+    })),
+  }));
+}
+
+/**
+ * Build the message of a prompt from its arguments
+ */
+export function getPrompt(
+  name: string,
+  args: Record<string, string> = {}
+): {
+  description: string;
+  messages: { role: "user"; content: { type: "text"; text: string } }[];
+} {
+  const recipe = RECIPES.find((candidate) => candidate.name === name);
+  if (!recipe) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const missing = recipe.arguments
+    .filter((argument) => argument.required && !args[argument.name]?.trim())
+    .map((argument) => argument.name);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required argument${
+        missing.length > 1 ? "s" : ""
+      } for prompt ${name}: ${missing.join(", ")}`
+    );
+  }
+
+  return {
+    description: recipe.description,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: recipe.build(args) },
+      },
+    ],
+  };
+}
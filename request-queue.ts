@@ -0,0 +1,162 @@
+/**
+ * Request scheduler for SeedDream 4.0 generations
+ *
+ * Caps the number of generations in flight at once and queues excess calls in
+ * FIFO order, so bursts of parallel tool calls don't trip Replicate's rate limits.
+ */
+
+/**
+ * Scheduler limits
+ */
+export interface SchedulerOptions {
+  // Maximum number of generations running at the same time
+  maxConcurrent: number;
+  // Maximum number of calls waiting for a slot before new calls are rejected
+  maxQueueLength: number;
+  // Maximum time in ms a call may wait for a slot
+  queueTimeout: number;
+}
+
+/**
+ * A held generation slot
+ */
+export interface Slot {
+  // 1-based queue position when the call arrived, or 0 if it started immediately
+  queuePosition: number;
+  // Time in ms spent waiting for the slot
+  waitTime: number;
+  // Give the slot back; calling it more than once has no effect
+  release(): void;
+}
+
+/**
+ * Thrown when a call arrives while the queue is already full
+ */
+export class QueueFullError extends Error {
+  constructor(maxQueueLength: number) {
+    super(
+      `Server is busy: ${maxQueueLength} generation(s) are already queued. Please try again shortly.`
+    );
+    this.name = "QueueFullError";
+  }
+}
+
+/**
+ * Thrown when a queued call does not get a slot within the queue timeout
+ */
+export class QueueTimeoutError extends Error {
+  constructor(queueTimeout: number) {
+    super(
+      `Timed out after ${queueTimeout}ms waiting for a free generation slot`
+    );
+    this.name = "QueueTimeoutError";
+  }
+}
+
+interface Waiter {
+  enqueuedAt: number;
+  position: number;
+  resolve: (slot: Slot) => void;
+  timer: NodeJS.Timeout;
+}
+
+export class RequestScheduler {
+  private active = 0;
+  private readonly waiting: Waiter[] = [];
+
+  constructor(private readonly options: SchedulerOptions) {}
+
+  /**
+   * Number of generations currently holding a slot
+   */
+  get activeCount(): number {
+    return this.active;
+  }
+
+  /**
+   * Number of calls waiting for a slot
+   */
+  get queueLength(): number {
+    return this.waiting.length;
+  }
+
+  /**
+   * Wait for a free slot. Resolves immediately when below the concurrency cap,
+   * otherwise queues the call behind earlier ones. Aborting `signal` takes a
+   * queued call out of the queue, rejecting with the abort reason.
+   */
+  acquire(signal?: AbortSignal): Promise<Slot> {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active < this.options.maxConcurrent) {
+      this.active++;
+      return Promise.resolve(this.createSlot(0, 0));
+    }
+
+    if (this.waiting.length >= this.options.maxQueueLength) {
+      return Promise.reject(new QueueFullError(this.options.maxQueueLength));
+    }
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+        }
+      };
+      const abort = () => {
+        clearTimeout(waiter.timer);
+        leave();
+        reject(signal!.reason);
+      };
+      const waiter: Waiter = {
+        enqueuedAt: Date.now(),
+        position: this.waiting.length + 1,
+        resolve: (slot) => {
+          signal?.removeEventListener("abort", abort);
+          resolve(slot);
+        },
+        timer: setTimeout(() => {
+          signal?.removeEventListener("abort", abort);
+          leave();
+          reject(new QueueTimeoutError(this.options.queueTimeout));
+        }, this.options.queueTimeout),
+      };
+      signal?.addEventListener("abort", abort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  private createSlot(queuePosition: number, waitTime: number): Slot {
+    let released = false;
+    return {
+      queuePosition,
+      waitTime,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        this.next();
+      },
+    };
+  }
+
+  /**
+   * Hand a released slot to the next waiter, or free it
+   */
+  private next(): void {
+    const waiter = this.waiting.shift();
+    if (!waiter) {
+      this.active--;
+      return;
+    }
+
+    clearTimeout(waiter.timer);
+    waiter.resolve(
+      this.createSlot(waiter.position, Date.now() - waiter.enqueuedAt)
+    );
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Content-addressed cache of generation results
+ *
+ * Identical requests are recognized by a SHA-256 hash of their canonical,
+ * normalized input, so an agent retrying the same call gets the images that were
+ * already generated instead of paying for a new prediction. Entries expire after
+ * a TTL, and the least recently used entries are evicted once the cache is full.
+ */
+
+import { createHash } from "crypto";
+
+export interface ResultCacheOptions {
+  // How long entries stay fresh, in ms
+  ttl: number;
+  // Largest number of entries kept before evicting the least recently used
+  maxEntries: number;
+}
+
+interface CacheEntry<T> {
+  value: T;
+  storedAt: number;
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ */
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, item]) => `${JSON.stringify(key)}:${canonicalJson(item)}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache key of a normalized request payload
+ */
+export function cacheKey(payload: Record<string, unknown>): string {
+  return createHash("sha256").update(canonicalJson(payload)).digest("hex");
+}
+
+export class ResultCache<T> {
+  // Map iteration order doubles as recency order: oldest first
+  private readonly entries = new Map<string, CacheEntry<T>>();
+
+  constructor(private readonly options: ResultCacheOptions) {}
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a fresh entry, marking it as recently used
+   */
+  get(key: string): { value: T; storedAt: number } | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() - entry.storedAt > this.options.ttl) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key: string, value: T): void {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+    this.evict();
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry, returning how many there were
+   */
+  clear(): number {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones beyond the limit
+   */
+  private evict(): void {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.storedAt > this.options.ttl) {
+        this.entries.delete(key);
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.options.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Storage backends for generated images
+ *
+ * Images are addressed by a relative key (e.g. "2025-01-31/seedream4_cat_0.jpg").
+ * The local backend writes them under IMAGE_STORAGE_PATH; the S3 backend uploads
+ * them to any S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ */
+
+import * as fs from "fs";
+import {
+  copyFile,
+  mkdir,
+  readFile,
+  readdir,
+  rename,
+  stat,
+  unlink,
+} from "fs/promises";
+import * as path from "path";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+// How saved images are grouped into subfolders
+export const VALID_STORAGE_LAYOUTS = [
+  "flat",
+  "date",
+  "session",
+  "date-session",
+] as const;
+export type StorageLayout = (typeof VALID_STORAGE_LAYOUTS)[number];
+
+/**
+ * Where a stored image ended up
+ */
+export interface StoredObject {
+  key: string;
+  // Absolute file path for the local backend, s3:// URI for the S3 backend
+  location: string;
+  // Public URL of the object, when one is configured
+  url?: string;
+  bytes: number;
+  modifiedAt?: string;
+}
+
+export interface StorageBackend {
+  readonly type: "local" | "s3";
+  /**
+   * Move a downloaded file into storage under the given key
+   */
+  save(
+    key: string,
+    sourcePath: string,
+    contentType?: string
+  ): Promise<StoredObject>;
+  /**
+   * Read a stored object
+   */
+  read(key: string): Promise<Buffer>;
+  /**
+   * Delete a stored object; missing objects are ignored
+   */
+  delete(key: string): Promise<void>;
+  /**
+   * List stored images, newest first
+   */
+  list(): Promise<StoredObject[]>;
+}
+
+// Extensions of files treated as stored images when listing
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp", ".gif"]);
+
+export function isImageKey(key: string): boolean {
+  return IMAGE_EXTENSIONS.has(path.extname(key).toLowerCase());
+}
+
+function newestFirst(a: StoredObject, b: StoredObject): number {
+  return (b.modifiedAt || "").localeCompare(a.modifiedAt || "");
+}
+
+/**
+ * Reject keys that would escape the storage root
+ */
+export function normalizeKey(key: string): string {
+  const normalized = path.posix.normalize(key.replace(/\\/g, "/"));
+  if (
+    normalized.startsWith("../") ||
+    normalized === ".." ||
+    path.posix.isAbsolute(normalized)
+  ) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+}
+
+/**
+ * Stores images in a directory on the local filesystem
+ */
+export class LocalStorage implements StorageBackend {
+  readonly type = "local" as const;
+
+  constructor(readonly root: string) {}
+
+  resolve(key: string): string {
+    return path.join(this.root, normalizeKey(key));
+  }
+
+  async save(key: string, sourcePath: string): Promise<StoredObject> {
+    const target = this.resolve(key);
+    await mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await rename(sourcePath, target);
+    } catch (error) {
+      // Fall back to copying when the source is on another filesystem
+      if ((error as NodeJS.ErrnoException).code !== "EXDEV") {
+        throw error;
+      }
+      await copyFile(sourcePath, target);
+      await unlink(sourcePath);
+    }
+
+    const { size } = await stat(target);
+    return { key: normalizeKey(key), location: target, bytes: size };
+  }
+
+  read(key: string): Promise<Buffer> {
+    return readFile(this.resolve(key));
+  }
+
+  async delete(key: string): Promise<void> {
+    await unlink(this.resolve(key)).catch((error) => {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    });
+  }
+
+  async list(): Promise<StoredObject[]> {
+    const objects: StoredObject[] = [];
+
+    const walk = async (dir: string, prefix: string): Promise<void> => {
+      const entries = await readdir(dir, { withFileTypes: true }).catch(
+        () => []
+      );
+      for (const entry of entries) {
+        // Skip staging and other hidden directories
+        if (entry.name.startsWith(".")) {
+          continue;
+        }
+        const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath, key);
+        } else if (entry.isFile() && isImageKey(key)) {
+          const stats = await stat(fullPath);
+          objects.push({
+            key,
+            location: fullPath,
+            bytes: stats.size,
+            modifiedAt: stats.mtime.toISOString(),
+          });
+        }
+      }
+    };
+
+    await walk(this.root, "");
+    return objects.sort(newestFirst);
+  }
+}
+
+/**
+ * Settings for an S3-compatible bucket
+ */
+export interface S3StorageOptions {
+  bucket: string;
+  region: string;
+  // Custom endpoint for S3-compatible services such as MinIO
+  endpoint?: string;
+  accessKeyId?: string;
+  secretAccessKey?: string;
+  // Prefix prepended to every key
+  prefix?: string;
+  forcePathStyle?: boolean;
+  // Base URL objects are publicly reachable at
+  publicUrl?: string;
+}
+
+/**
+ * Stores images in an S3-compatible bucket
+ */
+export class S3Storage implements StorageBackend {
+  readonly type = "s3" as const;
+  private readonly client: S3Client;
+
+  constructor(private readonly options: S3StorageOptions) {
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      // Only send checksums when required; many S3-compatible services reject them
+      requestChecksumCalculation: "WHEN_REQUIRED",
+      responseChecksumValidation: "WHEN_REQUIRED",
+      // Fall back to the default AWS credential chain when no keys are given
+      credentials:
+        options.accessKeyId && options.secretAccessKey
+          ? {
+              accessKeyId: options.accessKeyId,
+              secretAccessKey: options.secretAccessKey,
+            }
+          : undefined,
+    });
+  }
+
+  private get prefix(): string {
+    return (this.options.prefix || "").replace(/^\/+|\/+$/g, "");
+  }
+
+  private objectKey(key: string): string {
+    return this.prefix
+      ? `${this.prefix}/${normalizeKey(key)}`
+      : normalizeKey(key);
+  }
+
+  private publicUrl(objectKey: string): string | undefined {
+    return this.options.publicUrl
+      ? `${this.options.publicUrl.replace(/\/+$/, "")}/${objectKey}`
+      : undefined;
+  }
+
+  async save(
+    key: string,
+    sourcePath: string,
+    contentType?: string
+  ): Promise<StoredObject> {
+    const objectKey = this.objectKey(key);
+    const { size } = await stat(sourcePath);
+
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.options.bucket,
+        Key: objectKey,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType,
+      })
+    );
+    await unlink(sourcePath);
+
+    return {
+      key: normalizeKey(key),
+      location: `s3://${this.options.bucket}/${objectKey}`,
+      url: this.publicUrl(objectKey),
+      bytes: size,
+    };
+  }
+
+  async read(key: string): Promise<Buffer> {
+    const response = await this.client.send(
+      new GetObjectCommand({
+        Bucket: this.options.bucket,
+        Key: this.objectKey(key),
+      })
+    );
+    if (!response.Body) {
+      throw new Error(`Empty object: ${key}`);
+    }
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.client.send(
+      new DeleteObjectCommand({
+        Bucket: this.options.bucket,
+        Key: this.objectKey(key),
+      })
+    );
+  }
+
+  async list(): Promise<StoredObject[]> {
+    const objects: StoredObject[] = [];
+    const prefix = this.prefix ? `${this.prefix}/` : "";
+    let continuationToken: string | undefined;
+
+    do {
+      const response = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.options.bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const object of response.Contents || []) {
+        if (!object.Key || !isImageKey(object.Key)) {
+          continue;
+        }
+        objects.push({
+          key: object.Key.slice(prefix.length),
+          location: `s3://${this.options.bucket}/${object.Key}`,
+          url: this.publicUrl(object.Key),
+          bytes: object.Size || 0,
+          modifiedAt: object.LastModified?.toISOString(),
+        });
+      }
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    return objects.sort(newestFirst);
+  }
+}
+
+/**
+ * Subfolder for an image saved now, according to the storage layout
+ */
+export function storageFolder(
+  layout: StorageLayout,
+  sessionId: string,
+  date: Date = new Date()
+): string {
+  const day = date.toISOString().slice(0, 10);
+  switch (layout) {
+    case "date":
+      return day;
+    case "session":
+      return sessionId;
+    case "date-session":
+      return `${day}/${sessionId}`;
+    default:
+      return "";
+  }
+}
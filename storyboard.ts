@@ -0,0 +1,164 @@
+/**
+ * Storyboards from sequential generation
+ *
+ * A storyboard is a list of scenes generated together with SeedDream 4.0's
+ * sequential image generation, so characters and style stay consistent from
+ * frame to frame. The scenes are combined into one numbered prompt, and the
+ * images, which come back in scene order, are mapped back to their scenes.
+ */
+
+import sharp from "sharp";
+
+/**
+ * A storyboard frame and the image generated for it
+ */
+export interface StoryboardFrame {
+  frame: number;
+  scene: string;
+  // null when the model returned fewer images than there are scenes
+  image: {
+    key: string;
+    location: string;
+    resourceUri: string;
+    width: number | null;
+    height: number | null;
+  } | null;
+}
+
+/**
+ * Ordered record of a storyboard, saved in its folder
+ */
+export interface StoryboardManifest {
+  title: string;
+  folder: string;
+  jobId: string | null;
+  prompt: string;
+  createdAt: string;
+  frames: StoryboardFrame[];
+  contactSheet: { key: string; location: string } | null;
+}
+
+/**
+ * Lowercase, underscore-separated form of a text for file and folder names
+ */
+export function slugify(text: string, maxLength = 40): string {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s_-]/g, "")
+      .trim()
+      .replace(/[\s-]+/g, "_")
+      .substring(0, maxLength)
+      .replace(/_+$/, "") || "untitled"
+  );
+}
+
+/**
+ * The combined prompt for a storyboard's scenes
+ */
+export function storyboardPrompt({
+  scenes,
+  style,
+  characters,
+  withReferences,
+}: {
+  scenes: string[];
+  style?: string;
+  characters?: string;
+  // Whether character reference images are passed along
+  withReferences: boolean;
+}): string {
+  const cast = characters
+    ? `${characters}${withReferences ? " (as in the reference images)" : ""}`
+    : withReferences
+      ? "the characters from the reference images"
+      : "";
+  const frames = scenes
+    .map(
+      (scene, i) => `Frame ${i + 1}: ${scene.trim().replace(/[.!?]+$/, "")}.`
+    )
+    .join(" ");
+
+  return `A storyboard of ${scenes.length} consecutive frames, one image per frame, in ${
+    style || "a consistent cinematic"
+  } style${
+    cast ? `, featuring ${cast}, who look identical in every frame` : ""
+  }. ${frames}`;
+}
+
+/**
+ * Escape text for use in SVG markup
+ */
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Contact sheet layout, in pixels
+const SHEET_CELL_WIDTH = 480;
+const SHEET_CAPTION_HEIGHT = 36;
+const SHEET_GAP = 16;
+const SHEET_MAX_COLUMNS = 4;
+const SHEET_BACKGROUND = "#111111";
+
+/**
+ * Render the frames side by side in a grid, each captioned with its number and
+ * scene, as a JPEG
+ */
+export async function renderContactSheet(
+  frames: { data: Buffer; caption: string }[]
+): Promise<Buffer> {
+  // Cells take the proportions of the first frame; others are letterboxed
+  const first = await sharp(frames[0].data).metadata();
+  const imageHeight = Math.round(
+    (SHEET_CELL_WIDTH * (first.height || 1)) / (first.width || 1)
+  );
+  const cellHeight = imageHeight + SHEET_CAPTION_HEIGHT;
+  const columns = Math.min(frames.length, SHEET_MAX_COLUMNS);
+  const rows = Math.ceil(frames.length / columns);
+  const maxCaption = Math.floor(SHEET_CELL_WIDTH / 9);
+
+  const cells = await Promise.all(
+    frames.map(async (frame, i) => {
+      const left = SHEET_GAP + (i % columns) * (SHEET_CELL_WIDTH + SHEET_GAP);
+      const top =
+        SHEET_GAP + Math.floor(i / columns) * (cellHeight + SHEET_GAP);
+      const image = await sharp(frame.data)
+        .resize({
+          width: SHEET_CELL_WIDTH,
+          height: imageHeight,
+          fit: "contain",
+          background: SHEET_BACKGROUND,
+        })
+        .toBuffer();
+      const caption =
+        frame.caption.length > maxCaption
+          ? `${frame.caption.slice(0, maxCaption - 1)}…`
+          : frame.caption;
+      const label = Buffer.from(
+        `<svg width="${SHEET_CELL_WIDTH}" height="${SHEET_CAPTION_HEIGHT}" xmlns="http://www.w3.org/2000/svg"><text x="4" y="24" font-family="sans-serif" font-size="16" fill="#eeeeee">${escapeXml(
+          caption
+        )}</text></svg>`
+      );
+      return [
+        { input: image, left, top },
+        { input: label, left, top: top + imageHeight },
+      ];
+    })
+  );
+
+  return sharp({
+    create: {
+      width: SHEET_GAP + columns * (SHEET_CELL_WIDTH + SHEET_GAP),
+      height: SHEET_GAP + rows * (cellHeight + SHEET_GAP),
+      channels: 3,
+      background: SHEET_BACKGROUND,
+    },
+  })
+    .composite(cells.flat())
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
@@ -0,0 +1,229 @@
+/**
+ * MCP Streamable HTTP server transport
+ *
+ * The SDK version in use only ships the legacy HTTP+SSE transport, so this
+ * implements the Streamable HTTP one: clients POST JSON-RPC messages to a single
+ * endpoint and get the responses either as a JSON body or as an SSE stream that
+ * also carries the notifications of those requests. A GET on the endpoint opens
+ * a stream for the server's other messages. One transport serves one session,
+ * identified by the Mcp-Session-Id header.
+ */
+
+import { randomUUID } from "crypto";
+import type { ServerResponse } from "http";
+import type { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import type { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+
+export const SESSION_HEADER = "mcp-session-id";
+
+type RequestId = string | number;
+
+/**
+ * A POST whose requests are waiting for their responses
+ */
+interface Exchange {
+  res: ServerResponse;
+  // Whether responses are streamed as SSE rather than returned as one JSON body
+  stream: boolean;
+  // Whether the client sent a JSON-RPC batch, so the JSON reply must be one too
+  batch: boolean;
+  pending: Set<RequestId>;
+  responses: JSONRPCMessage[];
+}
+
+function isResponse(message: JSONRPCMessage): boolean {
+  return "id" in message && ("result" in message || "error" in message);
+}
+
+function isRequest(message: JSONRPCMessage): boolean {
+  return "id" in message && "method" in message;
+}
+
+/**
+ * Write one SSE event
+ */
+function writeEvent(res: ServerResponse, message: JSONRPCMessage): void {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function openStream(res: ServerResponse, sessionId: string): void {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Mcp-Session-Id": sessionId,
+  });
+  res.flushHeaders();
+}
+
+export class StreamableHttpTransport implements Transport {
+  readonly sessionId = randomUUID();
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+
+  // Exchanges by the IDs of the requests they are waiting on
+  private exchanges = new Map<RequestId, Exchange>();
+  // Request IDs by the progress token the request carried, to route its progress
+  private progressTokens = new Map<string | number, RequestId>();
+  // Stream opened with GET, for server messages not tied to a request
+  private standalone?: ServerResponse;
+  private closed = false;
+
+  async start(): Promise<void> {}
+
+  /**
+   * Whether no request is waiting for its response and no stream is open
+   */
+  get idle(): boolean {
+    return this.exchanges.size === 0 && !this.standalone;
+  }
+
+  /**
+   * Handle the messages of a POST: notifications and responses are accepted at
+   * once, requests keep the response open until all of them are answered
+   */
+  handlePost(
+    messages: JSONRPCMessage[],
+    batch: boolean,
+    res: ServerResponse,
+    acceptsStream: boolean
+  ): void {
+    const requests = messages.filter(isRequest) as (JSONRPCMessage & {
+      id: RequestId;
+      params?: { _meta?: { progressToken?: string | number } };
+    })[];
+
+    if (requests.length === 0) {
+      res.writeHead(202, { "Mcp-Session-Id": this.sessionId }).end();
+    } else {
+      const exchange: Exchange = {
+        res,
+        stream: acceptsStream,
+        batch,
+        pending: new Set(requests.map((request) => request.id)),
+        responses: [],
+      };
+      for (const request of requests) {
+        this.exchanges.set(request.id, exchange);
+        const token = request.params?._meta?.progressToken;
+        if (token !== undefined) {
+          this.progressTokens.set(token, request.id);
+        }
+      }
+      if (exchange.stream) {
+        openStream(res, this.sessionId);
+      }
+      // Responses to a client that went away are dropped
+      res.on("close", () => this.forget(exchange));
+    }
+
+    for (const message of messages) {
+      this.onmessage?.(message);
+    }
+  }
+
+  /**
+   * Open the stream for server messages not tied to a request
+   */
+  handleGet(res: ServerResponse): void {
+    this.standalone?.end();
+    this.standalone = res;
+    openStream(res, this.sessionId);
+    res.on("close", () => {
+      if (this.standalone === res) {
+        this.standalone = undefined;
+      }
+    });
+  }
+
+  async send(message: JSONRPCMessage): Promise<void> {
+    if (this.closed) {
+      throw new Error("Transport is closed");
+    }
+
+    if (isResponse(message)) {
+      const id = (message as { id: RequestId }).id;
+      const exchange = this.exchanges.get(id);
+      if (!exchange) {
+        return;
+      }
+      this.exchanges.delete(id);
+      exchange.pending.delete(id);
+
+      if (exchange.stream) {
+        writeEvent(exchange.res, message);
+      } else {
+        exchange.responses.push(message);
+      }
+      if (exchange.pending.size === 0) {
+        this.complete(exchange);
+      }
+      return;
+    }
+
+    // Progress goes to the stream of the request it reports on, when it has one
+    const token = (message as { params?: { progressToken?: string | number } })
+      .params?.progressToken;
+    const requestId =
+      token !== undefined ? this.progressTokens.get(token) : undefined;
+    const exchange =
+      requestId !== undefined ? this.exchanges.get(requestId) : undefined;
+    if (exchange?.stream) {
+      writeEvent(exchange.res, message);
+    } else if (this.standalone) {
+      writeEvent(this.standalone, message);
+    }
+  }
+
+  async close(): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    for (const exchange of new Set(this.exchanges.values())) {
+      exchange.res.end();
+    }
+    this.exchanges.clear();
+    this.progressTokens.clear();
+    this.standalone?.end();
+    this.onclose?.();
+  }
+
+  /**
+   * Finish the response of an exchange whose requests have all been answered
+   */
+  private complete(exchange: Exchange): void {
+    this.forget(exchange);
+    if (exchange.stream) {
+      exchange.res.end();
+      return;
+    }
+    exchange.res
+      .writeHead(200, {
+        "Content-Type": "application/json",
+        "Mcp-Session-Id": this.sessionId,
+      })
+      .end(
+        JSON.stringify(
+          exchange.batch ? exchange.responses : exchange.responses[0]
+        )
+      );
+  }
+
+  /**
+   * Stop routing messages to an exchange
+   */
+  private forget(exchange: Exchange): void {
+    for (const [id, candidate] of this.exchanges) {
+      if (candidate === exchange) {
+        this.exchanges.delete(id);
+      }
+    }
+    for (const [token, id] of this.progressTokens) {
+      if (!this.exchanges.has(id)) {
+        this.progressTokens.delete(token);
+      }
+    }
+  }
+}
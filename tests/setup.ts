@@ -0,0 +1,8 @@
+/**
+ * Shared setup for the unit and integration tests
+ */
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
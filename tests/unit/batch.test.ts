@@ -0,0 +1,71 @@
+import {
+  batchSize,
+  countBatchResults,
+  describeVariation,
+  expandBatch,
+  formatBatchSummary,
+} from "../../batch.js";
+
+const results = (...statuses: string[]) =>
+  statuses.map((status) => ({ status }));
+
+describe("expandBatch", () => {
+  it("combines every prompt with every grid value", () => {
+    const request = {
+      prompts: ["a cat", "a dog"],
+      grid: { aspect_ratio: ["1:1", "16:9"] },
+      arguments: { size: "2K" },
+    };
+
+    const items = expandBatch(request);
+
+    expect(batchSize(request)).toBe(4);
+    expect(items.map((item) => item.arguments)).toEqual([
+      { size: "2K", prompt: "a cat", aspect_ratio: "1:1" },
+      { size: "2K", prompt: "a cat", aspect_ratio: "16:9" },
+      { size: "2K", prompt: "a dog", aspect_ratio: "1:1" },
+      { size: "2K", prompt: "a dog", aspect_ratio: "16:9" },
+    ]);
+    expect(describeVariation(items[1].variation)).toBe(
+      '"a cat", aspect_ratio=16:9'
+    );
+  });
+});
+
+describe("countBatchResults", () => {
+  it("counts canceled items as failed and the rest as pending", () => {
+    expect(
+      countBatchResults(
+        results("succeeded", "failed", "canceled", "processing", "dry_run")
+      )
+    ).toEqual({ total: 5, succeeded: 1, failed: 2, dryRuns: 1, pending: 1 });
+  });
+});
+
+describe("formatBatchSummary", () => {
+  it("summarizes generated items", () => {
+    expect(
+      formatBatchSummary(
+        countBatchResults(results("succeeded", "succeeded", "failed"))
+      )
+    ).toBe("2 of 3 succeeded, 1 failed");
+  });
+
+  it("reports unfinished items", () => {
+    expect(
+      formatBatchSummary(countBatchResults(results("succeeded", "starting")))
+    ).toBe("1 of 2 succeeded, 1 not finished");
+  });
+
+  it("leaves dry runs out of the count", () => {
+    expect(
+      formatBatchSummary(countBatchResults(results("succeeded", "dry_run")))
+    ).toBe("1 of 1 succeeded");
+  });
+
+  it("says nothing was generated for a batch of dry runs", () => {
+    expect(
+      formatBatchSummary(countBatchResults(results("dry_run", "dry_run")))
+    ).toBe("nothing generated");
+  });
+});
@@ -0,0 +1,145 @@
+import { ClientRegistry, summarizeUsage, type Client } from "../../clients.js";
+import type { GenerationRecord } from "../../history.js";
+
+const alice: Client = {
+  name: "alice",
+  key: "alice-key-0123456789",
+  dailyImages: 3,
+};
+const bob: Client = {
+  name: "bob",
+  key: "bob-key-0123456789ab",
+  dailyCredits: 0.1,
+  rateLimit: 2,
+};
+
+function registry(): ClientRegistry {
+  return new ClientRegistry([alice, bob], {}, 0.03);
+}
+
+describe("ClientRegistry", () => {
+  it("authenticates clients by their key", () => {
+    const clients = registry();
+
+    expect(clients.authenticate("alice-key-0123456789")).toBe(alice);
+    expect(clients.authenticate("not-a-key")).toBeUndefined();
+  });
+
+  it("counts reserved images against the daily quota", async () => {
+    const clients = registry();
+
+    await clients.reserveImages(alice, 2);
+
+    expect(clients.quota(alice).images).toEqual({ used: 2, limit: 3 });
+  });
+
+  it("rejects reservations beyond the quota without counting them", async () => {
+    const clients = registry();
+    await clients.reserveImages(alice, 2);
+
+    await expect(clients.reserveImages(alice, 2)).rejects.toMatchObject({
+      category: "rate_limit",
+    });
+    expect(clients.quota(alice).images.used).toBe(2);
+    await expect(clients.reserveImages(alice, 1)).resolves.toBeUndefined();
+  });
+
+  it("gives back released images", async () => {
+    const clients = registry();
+    await clients.reserveImages(alice, 3);
+
+    await clients.releaseImages(alice, 2);
+
+    expect(clients.quota(alice).images.used).toBe(1);
+    await expect(clients.reserveImages(alice, 2)).resolves.toBeUndefined();
+  });
+
+  it("ignores releases of nothing", async () => {
+    const clients = registry();
+    await clients.reserveImages(alice, 1);
+
+    await clients.releaseImages(alice, 0);
+    await clients.releaseImages(alice, -1);
+
+    expect(clients.quota(alice).images.used).toBe(1);
+  });
+
+  it("derives an image quota from a credit quota", async () => {
+    const clients = registry();
+
+    expect(clients.quota(bob).images.limit).toBe(3);
+    await clients.reserveImages(bob, 3);
+    expect(clients.quota(bob).credits).toEqual({ used: 0.09, limit: 0.1 });
+    await expect(clients.reserveImages(bob, 1)).rejects.toMatchObject({
+      category: "rate_limit",
+    });
+  });
+
+  it("restores images generated earlier, even beyond the quota", async () => {
+    const clients = registry();
+
+    await clients.restoreImages(alice, 5);
+
+    expect(clients.quota(alice).images.used).toBe(5);
+    await expect(clients.reserveImages(alice, 1)).rejects.toMatchObject({
+      category: "rate_limit",
+    });
+  });
+
+  it("limits tool calls per minute", async () => {
+    const clients = registry();
+
+    await clients.consumeCall(bob);
+    await clients.consumeCall(bob);
+
+    await expect(clients.consumeCall(bob)).rejects.toMatchObject({
+      category: "rate_limit",
+    });
+    await expect(clients.consumeCall(alice)).resolves.toBeUndefined();
+  });
+});
+
+describe("summarizeUsage", () => {
+  function record(
+    status: string,
+    client: string | null,
+    images = 0
+  ): GenerationRecord {
+    return {
+      status,
+      client,
+      images: Array.from({ length: images }, () => ({})),
+      downloadFailures: [],
+    } as unknown as GenerationRecord;
+  }
+
+  it("totals generations and images per client", () => {
+    const usage = summarizeUsage(
+      [
+        record("succeeded", "alice", 2),
+        record("failed", "alice"),
+        record("succeeded", "bob", 1),
+      ],
+      0.03
+    );
+
+    expect(usage.get("alice")).toEqual({
+      client: "alice",
+      generations: 2,
+      succeeded: 1,
+      failed: 1,
+      images: 2,
+      estimatedCredits: 0.06,
+    });
+    expect(usage.get("bob")?.images).toBe(1);
+  });
+
+  it("skips calls rejected before they reached Replicate", () => {
+    const usage = summarizeUsage(
+      [record("succeeded", "alice", 1), record("rejected", "alice")],
+      0.03
+    );
+
+    expect(usage.get("alice")?.generations).toBe(1);
+  });
+});
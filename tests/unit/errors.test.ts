@@ -0,0 +1,170 @@
+import {
+  GenerationError,
+  backoffDelay,
+  isUnsentRequestError,
+  withRetry,
+  type RetryOptions,
+} from "../../errors.js";
+
+const options: RetryOptions = { maxRetries: 3, baseDelay: 100, maxDelay: 1000 };
+
+/**
+ * An error as thrown by the Replicate client for an HTTP response
+ */
+function httpError(status: number, headers: Record<string, string> = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: new Response(null, { status, headers }),
+  });
+}
+
+/**
+ * A fetch failure caused by a socket error with the given code
+ */
+function socketError(code: string) {
+  return new TypeError("fetch failed", {
+    cause: Object.assign(new Error(code), { code }),
+  });
+}
+
+describe("backoffDelay", () => {
+  it("draws from a window that doubles with every attempt", () => {
+    jest.spyOn(Math, "random").mockReturnValue(1);
+    const error = new GenerationError("network", "boom", { retryable: true });
+
+    expect(backoffDelay(error, 0, options)).toBe(100);
+    expect(backoffDelay(error, 1, options)).toBe(200);
+    expect(backoffDelay(error, 2, options)).toBe(400);
+  });
+
+  it("never exceeds maxDelay", () => {
+    jest.spyOn(Math, "random").mockReturnValue(1);
+    const error = new GenerationError("network", "boom", { retryable: true });
+
+    expect(backoffDelay(error, 10, options)).toBe(1000);
+  });
+
+  it("uses the delay the server asked for, capped at maxDelay", () => {
+    const error = (retryAfter: number) =>
+      new GenerationError("rate_limit", "slow down", {
+        retryable: true,
+        retryAfter,
+      });
+
+    expect(backoffDelay(error(250), 0, options)).toBe(250);
+    expect(backoffDelay(error(60000), 0, options)).toBe(1000);
+  });
+});
+
+describe("isUnsentRequestError", () => {
+  it("recognizes failures to connect", () => {
+    expect(isUnsentRequestError(socketError("ECONNREFUSED"))).toBe(true);
+    expect(isUnsentRequestError(socketError("ENOTFOUND"))).toBe(true);
+  });
+
+  it("does not treat failures after sending as unsent", () => {
+    expect(isUnsentRequestError(socketError("ECONNRESET"))).toBe(false);
+    expect(isUnsentRequestError(httpError(500))).toBe(false);
+  });
+});
+
+describe("withRetry", () => {
+  const fast: RetryOptions = { maxRetries: 3, baseDelay: 1, maxDelay: 1 };
+
+  it("retries transient failures and reports how many retries it took", async () => {
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(socketError("ECONNRESET"))
+      .mockResolvedValue("done");
+
+    await expect(withRetry(operation, fast)).resolves.toEqual({
+      value: "done",
+      retries: 2,
+    });
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it("fails fast on permanent failures", async () => {
+    const operation = jest.fn().mockRejectedValue(httpError(422));
+
+    await expect(withRetry(operation, fast)).rejects.toMatchObject({
+      category: "validation",
+      retries: 0,
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up once retries run out", async () => {
+    const operation = jest.fn().mockRejectedValue(httpError(502));
+
+    await expect(withRetry(operation, fast)).rejects.toMatchObject({
+      category: "network",
+      retries: 3,
+    });
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  it("only retries what retryIf allows", async () => {
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValue("done");
+
+    await expect(
+      withRetry(operation, {
+        ...fast,
+        retryIf: (error) => error.category === "rate_limit",
+      })
+    ).rejects.toMatchObject({ status: 500, retries: 1 });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it("reports each retry before scheduling it", async () => {
+    const onRetry = jest.fn();
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue("done");
+
+    await withRetry(operation, { ...fast, onRetry });
+
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ category: "network" }),
+      1,
+      expect.any(Number)
+    );
+  });
+
+  it("stops waiting for the next attempt once the signal is aborted", async () => {
+    const controller = new AbortController();
+    const operation = jest.fn().mockRejectedValue(httpError(503));
+    const started = Date.now();
+
+    const result = withRetry(operation, {
+      maxRetries: 3,
+      baseDelay: 60000,
+      maxDelay: 60000,
+      signal: controller.signal,
+      onRetry: () => controller.abort(),
+    });
+
+    await expect(result).rejects.toMatchObject({
+      category: "network",
+      retries: 0,
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it("does not retry once the signal is aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const operation = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(
+      withRetry(operation, { ...fast, signal: controller.signal })
+    ).rejects.toMatchObject({ retries: 0 });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,106 @@
+import { applyPreset, templateVariables, type Preset } from "../../presets.js";
+
+const product: Preset = {
+  name: "product",
+  tool: "generate_image",
+  prompt: "Product photo of {{product}} on {{ background }}",
+  variables: { background: "a white backdrop" },
+  arguments: { size: "4K", aspect_ratio: "1:1" },
+};
+
+describe("templateVariables", () => {
+  it("lists each variable once, in order of appearance", () => {
+    expect(templateVariables("{{a}} and {{ b }}, then {{a}} again")).toEqual([
+      "a",
+      "b",
+    ]);
+  });
+});
+
+describe("applyPreset", () => {
+  it("fills in the template and the preset's arguments", () => {
+    expect(
+      applyPreset(product, { variables: { product: "a red sneaker" } })
+    ).toEqual({
+      args: {
+        size: "4K",
+        aspect_ratio: "1:1",
+        prompt: "Product photo of a red sneaker on a white backdrop",
+      },
+      violations: [],
+    });
+  });
+
+  it("lets the caller's arguments and variables override the preset's", () => {
+    const { args, violations } = applyPreset(product, {
+      aspect_ratio: "16:9",
+      variables: { product: "a lamp", background: "marble" },
+    });
+
+    expect(violations).toEqual([]);
+    expect(args).toMatchObject({
+      size: "4K",
+      aspect_ratio: "16:9",
+      prompt: "Product photo of a lamp on marble",
+    });
+  });
+
+  it("passes the caller's prompt in as {{prompt}}", () => {
+    const styled: Preset = {
+      name: "watercolor",
+      tool: "generate_image",
+      prompt: "{{prompt}}, watercolor painting",
+    };
+
+    expect(applyPreset(styled, { prompt: "a harbor" }).args.prompt).toBe(
+      "a harbor, watercolor painting"
+    );
+  });
+
+  it("reports missing and unused variables", () => {
+    const { violations } = applyPreset(product, {
+      variables: { colour: "red" },
+    });
+
+    expect(violations).toEqual([
+      {
+        path: "variables.product",
+        message: 'is required by preset "product"',
+      },
+      {
+        path: "variables.colour",
+        message: 'is not used by preset "product"',
+      },
+    ]);
+  });
+
+  it("rejects a prompt when the template doesn't use one", () => {
+    const { violations } = applyPreset(product, {
+      prompt: "a cat",
+      variables: { product: "a mug" },
+    });
+
+    expect(violations).toEqual([expect.objectContaining({ path: "prompt" })]);
+  });
+
+  it("keeps the caller's prompt for presets without a template", () => {
+    const defaults: Preset = {
+      name: "wide",
+      tool: "generate_image",
+      arguments: { aspect_ratio: "21:9" },
+    };
+
+    expect(applyPreset(defaults, { prompt: "a canyon" })).toEqual({
+      args: { aspect_ratio: "21:9", prompt: "a canyon" },
+      violations: [],
+    });
+    expect(applyPreset(defaults, { variables: { x: "y" } }).violations).toEqual(
+      [
+        {
+          path: "variables",
+          message: 'preset "wide" has no prompt template',
+        },
+      ]
+    );
+  });
+});
@@ -0,0 +1,646 @@
+/**
+ * Tool argument schemas
+ *
+ * Each tool's arguments are described once, as a Joi schema. The same schema
+ * validates incoming calls and is converted into the JSON Schema advertised as the
+ * tool's inputSchema, so the two can't drift apart.
+ */
+
+import Joi from "joi";
+import { ValidationError, type Violation } from "./errors.js";
+import { VALID_RETURN_IMAGE_MODES } from "./image-content.js";
+import {
+  IMAGE_REFERENCE_FORMS,
+  MODELS,
+  VALID_ASPECT_RATIOS,
+  VALID_SIZES,
+  imageSchema,
+  type ModelDefinition,
+  type ModelInput,
+} from "./models.js";
+import { MAX_TOTAL_IMAGES } from "./param-conflicts.js";
+import { MAX_BATCH_ITEMS, batchSize } from "./batch.js";
+import { PRESET_NAME_PATTERN } from "./presets.js";
+
+// Formats generated images can be converted to before saving
+export const VALID_OUTPUT_FORMATS = ["jpeg", "png", "webp"] as const;
+export type OutputFormat = (typeof VALID_OUTPUT_FORMATS)[number];
+
+// Valid tool response formats
+export const VALID_RESPONSE_FORMATS = ["markdown", "json", "both"] as const;
+export type ResponseFormat = (typeof VALID_RESPONSE_FORMATS)[number];
+
+// Replicate prediction statuses
+export const VALID_JOB_STATUSES = [
+  "starting",
+  "processing",
+  "succeeded",
+  "failed",
+  "canceled",
+] as const;
+
+/**
+ * Accept YYYY-MM-DD dates and ISO timestamps, leaving them unchanged
+ */
+const dateString: Joi.CustomValidator<string> = (value, helpers) =>
+  Number.isNaN(Date.parse(value))
+    ? helpers.message({
+        custom: "must be a date (YYYY-MM-DD or ISO timestamp)",
+      })
+    : value;
+
+const responseFormat = Joi.string()
+  .valid(...VALID_RESPONSE_FORMATS)
+  .default("markdown")
+  .description(
+    "Response format: 'markdown' (human-readable summary), 'json' (machine-readable result, also returned as structuredContent) or 'both'."
+  );
+
+// Arguments every generation tool accepts besides the model's input
+const generationOptions = {
+  output_format: Joi.string()
+    .valid(...VALID_OUTPUT_FORMATS)
+    .description(
+      "Convert the generated images to this format before saving. By default they are saved in the format the model returned."
+    ),
+  dry_run: Joi.boolean()
+    .default(false)
+    .description(
+      "Validate the parameters and return the exact Replicate input, the expected output size, image count and estimated cost, without generating anything."
+    ),
+  bypass_cache: Joi.boolean()
+    .default(false)
+    .description(
+      "Generate new images even if an identical request has a cached result."
+    ),
+  async: Joi.boolean()
+    .default(false)
+    .description(
+      "Start the generation and return a job ID immediately instead of waiting for the images. Use get_generation_status to retrieve the result."
+    ),
+  return_images: Joi.string()
+    .valid(...VALID_RETURN_IMAGE_MODES)
+    .default("none")
+    .description(
+      "Also return the generated images as image content: 'none' (paths and URLs only), 'thumbnail' (downscaled JPEG previews) or 'full' (original files, falling back to thumbnails for very large images)."
+    ),
+  response_format: responseFormat,
+  preset: Joi.string().description(
+    "Name of a preset (see list_presets) supplying a prompt template and default arguments. Arguments passed explicitly take precedence."
+  ),
+  variables: Joi.object()
+    .pattern(Joi.string(), Joi.string())
+    .description(
+      'Values of the preset\'s prompt template variables, e.g. {"product": "a red sneaker"}.'
+    ),
+};
+
+const lenient = Joi.boolean()
+  .default(false)
+  .description(
+    "Correct conflicting parameters (e.g. aspect_ratio with size 'custom', or max_images without sequential_image_generation 'auto') instead of rejecting the call. Every adjustment is reported in the result."
+  );
+
+/**
+ * Split validated generation tool arguments into the model input and the options
+ * handled by the server
+ */
+export function splitGenerationArguments(args: Record<string, unknown>): {
+  input: ModelInput;
+  options: Record<string, unknown>;
+} {
+  const input: ModelInput = {};
+  const options: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (key in generationOptions || key === "lenient") {
+      options[key] = value;
+    } else {
+      input[key] = value;
+    }
+  }
+  return { input, options };
+}
+
+/**
+ * A tool and the schema of its arguments
+ */
+interface ToolDefinition {
+  name: string;
+  description: string;
+  schema: Joi.ObjectSchema;
+  // Checks spanning several arguments; they also run when other arguments are
+  // invalid, so they must check the types of the arguments they use. `provided`
+  // holds the names of the arguments the caller set, before defaults
+  refine?: (args: Record<string, any>, provided: Set<string>) => Violation[];
+}
+
+/**
+ * The generation tool of a registered model: its input plus the server's options
+ */
+function generationTool(model: ModelDefinition): ToolDefinition {
+  const conflicts = model.conflicts;
+  return {
+    name: model.tool,
+    description: model.description,
+    schema: model.input.keys(
+      conflicts ? { ...generationOptions, lenient } : generationOptions
+    ),
+    // Lenient calls have their conflicts corrected instead
+    refine: conflicts
+      ? (args, provided) =>
+          args.lenient === true ? [] : conflicts.find(args, provided)
+      : undefined,
+  };
+}
+
+export const TOOLS: ToolDefinition[] = [
+  ...MODELS.map(generationTool),
+  {
+    name: "generate_batch",
+    description:
+      "Run many generations in one call: a list of prompts, a grid of parameter values (every combination is generated), or both. Items share the server's generation queue, failed items don't stop the others, and a manifest of all outputs is saved with the images.",
+    schema: Joi.object({
+      tool: Joi.string()
+        .valid(...MODELS.map((model) => model.tool))
+        .default("generate_image")
+        .description("Generation tool to run for every item."),
+      prompts: Joi.array()
+        .items(Joi.string().min(1))
+        .min(1)
+        .description("Prompts to generate, one item each."),
+      grid: Joi.object()
+        .pattern(Joi.string(), Joi.array().min(1))
+        .description(
+          'Argument values to sweep, e.g. {"size": ["1K", "2K"], "aspect_ratio": ["1:1", "16:9"]}. Every combination is generated for every prompt.'
+        ),
+      arguments: Joi.object()
+        .unknown(true)
+        .default({})
+        .description(
+          "Arguments of the generation tool shared by every item, e.g. the prompt when only sweeping parameters, a seed, or async."
+        ),
+      response_format: responseFormat,
+    }),
+    refine: (args) => {
+      const violations: Violation[] = [];
+      const grid: Record<string, unknown> =
+        args.grid && typeof args.grid === "object" ? args.grid : {};
+      const shared: Record<string, unknown> =
+        args.arguments && typeof args.arguments === "object"
+          ? args.arguments
+          : {};
+
+      if (args.prompts === undefined && args.grid === undefined) {
+        violations.push({
+          path: "prompts",
+          message: "either prompts or grid is required",
+        });
+      }
+      if ("prompt" in grid) {
+        violations.push({
+          path: "grid.prompt",
+          message: "use prompts to vary the prompt",
+        });
+      }
+      for (const name of ["response_format", "return_images"]) {
+        if (name in grid || name in shared) {
+          violations.push({
+            path: name in grid ? `grid.${name}` : `arguments.${name}`,
+            message: "is not supported in a batch",
+          });
+        }
+      }
+
+      const size = batchSize({
+        prompts: Array.isArray(args.prompts) ? args.prompts : undefined,
+        grid: Object.fromEntries(
+          Object.entries(grid).filter(([, values]) => Array.isArray(values))
+        ) as Record<string, unknown[]>,
+      });
+      if (size > MAX_BATCH_ITEMS) {
+        violations.push({
+          path: args.grid ? "grid" : "prompts",
+          message: `expands to ${size} generations, more than the limit of ${MAX_BATCH_ITEMS}`,
+        });
+      }
+      return violations;
+    },
+  },
+  {
+    name: "generate_storyboard",
+    description:
+      "Generate a storyboard with SeedDream 4.0: one image per scene, generated together so characters and style stay consistent. The frames are saved in order into one named folder with a manifest, and optionally combined into a contact sheet.",
+    schema: Joi.object({
+      title: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .description("Title of the storyboard; it names the folder."),
+      scenes: Joi.array()
+        .items(Joi.string().trim().min(1))
+        .min(1)
+        .max(MAX_TOTAL_IMAGES)
+        .required()
+        .description(
+          "Scene descriptions in order, one frame each. Up to 15, minus the number of character images."
+        ),
+      style: Joi.string().description(
+        "Visual style shared by all frames, e.g. 'watercolor children's book'."
+      ),
+      characters: Joi.string().description(
+        "Description of the recurring characters, kept identical in every frame."
+      ),
+      character_images: Joi.array()
+        .items(imageSchema)
+        .max(10)
+        .default([])
+        .description(
+          `Reference images of the characters. Each entry can be ${IMAGE_REFERENCE_FORMS}.`
+        ),
+      size: Joi.string()
+        .valid(...VALID_SIZES.filter((size) => size !== "custom"))
+        .default("2K")
+        .description("Frame resolution: 1K, 2K or 4K."),
+      aspect_ratio: Joi.string()
+        .valid(...VALID_ASPECT_RATIOS)
+        .default("16:9")
+        .description("Frame aspect ratio."),
+      contact_sheet: Joi.boolean()
+        .default(false)
+        .description(
+          "Also render all frames into one captioned contact sheet image."
+        ),
+      output_format: generationOptions.output_format,
+      response_format: responseFormat,
+    }),
+    refine: (args) =>
+      Array.isArray(args.scenes) &&
+      Array.isArray(args.character_images) &&
+      args.scenes.length + args.character_images.length > MAX_TOTAL_IMAGES
+        ? [
+            {
+              path: "scenes",
+              message: `${args.scenes.length} scenes plus ${
+                args.character_images.length
+              } character images exceed the limit of ${MAX_TOTAL_IMAGES} images, so at most ${
+                MAX_TOTAL_IMAGES - args.character_images.length
+              } scenes fit`,
+            },
+          ]
+        : [],
+  },
+  {
+    name: "list_presets",
+    description:
+      "List the saved presets: their prompt templates, template variables and default arguments.",
+    schema: Joi.object({
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "save_preset",
+    description:
+      "Save a named preset bundling a prompt template with {{variables}} and default arguments of a generation tool, for use through the preset argument.",
+    schema: Joi.object({
+      name: Joi.string()
+        .pattern(PRESET_NAME_PATTERN, "preset name")
+        .max(64)
+        .required()
+        .description(
+          "Preset name: letters, digits, '-' and '_', e.g. 'product-shot'."
+        ),
+      description: Joi.string().description("What the preset is for."),
+      tool: Joi.string()
+        .valid(...MODELS.map((model) => model.tool))
+        .default("generate_image")
+        .description("Generation tool the preset is used with."),
+      prompt: Joi.string()
+        .min(1)
+        .description(
+          "Prompt template, e.g. 'Studio photo of {{product}} on a {{background}} background'. {{prompt}} stands for the prompt passed with the call."
+        ),
+      variables: Joi.object()
+        .pattern(Joi.string(), Joi.string())
+        .description("Default values of template variables."),
+      arguments: Joi.object()
+        .unknown(true)
+        .description(
+          "Default arguments of the tool, e.g. size, aspect_ratio or image_input."
+        ),
+      overwrite: Joi.boolean()
+        .default(false)
+        .description("Replace an existing preset with the same name."),
+      response_format: responseFormat,
+    }),
+    refine: (args) =>
+      ["prompt", "preset", "variables", "response_format"]
+        .filter(
+          (name) =>
+            args.arguments &&
+            typeof args.arguments === "object" &&
+            name in args.arguments
+        )
+        .map((name) => ({
+          path: `arguments.${name}`,
+          message:
+            name === "prompt"
+              ? "belongs in the preset's prompt template"
+              : "can't be part of a preset",
+        })),
+  },
+  {
+    name: "get_generation_status",
+    description:
+      "Check the status of a generation job. When the job has succeeded, its images are downloaded locally and returned.",
+    schema: Joi.object({
+      job_id: Joi.string()
+        .min(1)
+        .required()
+        .description(
+          "The job ID returned by a generation tool (the Replicate prediction ID)."
+        ),
+      return_images: Joi.string()
+        .valid(...VALID_RETURN_IMAGE_MODES)
+        .default("none")
+        .description(
+          "Also return the generated images as image content once the job has succeeded."
+        ),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "list_generations",
+    description:
+      "List recent generation jobs of the supported models on the Replicate account, newest first.",
+    schema: Joi.object({
+      status: Joi.string()
+        .valid(...VALID_JOB_STATUSES)
+        .description("Only list jobs with this status."),
+      limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(10)
+        .description("Maximum number of jobs to list. Range: 1-100."),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "cancel_generation",
+    description:
+      "Cancel a running generation job. Jobs that have already finished are left unchanged.",
+    schema: Joi.object({
+      job_id: Joi.string()
+        .min(1)
+        .required()
+        .description("The job ID of the generation to cancel."),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "search_generations",
+    description:
+      "Search the local history of generation tool calls, including those from earlier sessions and failed calls, newest first.",
+    schema: Joi.object({
+      query: Joi.string().description(
+        "Words that must all appear in the prompt (case-insensitive)."
+      ),
+      from: Joi.string()
+        .custom(dateString, "date")
+        .description(
+          "Only include generations created on or after this date (YYYY-MM-DD or ISO timestamp)."
+        ),
+      to: Joi.string()
+        .custom(dateString, "date")
+        .description(
+          "Only include generations created on or before this date (YYYY-MM-DD or ISO timestamp)."
+        ),
+      size: Joi.string().description(
+        "Only include generations with this size setting, e.g. '2K'."
+      ),
+      status: Joi.string()
+        .valid(...VALID_JOB_STATUSES, "rejected")
+        .description(
+          "Only include generations with this status. Calls rejected before reaching Replicate, e.g. for invalid arguments or an exhausted quota, are only included with 'rejected'."
+        ),
+      limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20)
+        .description("Maximum number of results. Range: 1-100."),
+      offset: Joi.number()
+        .integer()
+        .min(0)
+        .default(0)
+        .description("Number of matching results to skip, for paging."),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "get_generation",
+    description:
+      "Get the full history entry of a generation: prompt, parameters, stored files, timings and errors.",
+    schema: Joi.object({
+      id: Joi.string()
+        .min(1)
+        .required()
+        .description(
+          "The generation ID, as returned by a generation tool or search_generations."
+        ),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "get_usage",
+    description:
+      "Report usage per client of a shared server: generations, images and estimated credits over a period, and where each client stands against its rate limit and daily quota. Clients see their own usage; admin clients see everyone's.",
+    schema: Joi.object({
+      client: Joi.string()
+        .min(1)
+        .description("Only report this client (admin clients only)."),
+      from: Joi.string()
+        .custom(dateString, "date")
+        .description(
+          "Start of the period (YYYY-MM-DD or ISO timestamp). Default: the start of today (UTC)."
+        ),
+      to: Joi.string()
+        .custom(dateString, "date")
+        .description(
+          "End of the period (YYYY-MM-DD or ISO timestamp, inclusive). Default: now."
+        ),
+      response_format: responseFormat,
+    }),
+  },
+  {
+    name: "clear_cache",
+    description:
+      "Clear the generation result cache so the next identical request generates new images. Stored image files are kept.",
+    schema: Joi.object({
+      response_format: responseFormat,
+    }),
+  },
+];
+
+/**
+ * Convert a Joi schema description into JSON Schema
+ */
+function describeToJsonSchema(
+  description: Joi.Description
+): Record<string, unknown> {
+  const flags = (description.flags || {}) as Record<string, any>;
+  const rules = (description.rules || []) as {
+    name: string;
+    args?: Record<string, any>;
+  }[];
+  const rule = (name: string) => rules.find((r) => r.name === name);
+  const schema: Record<string, unknown> = {};
+
+  switch (description.type) {
+    case "object": {
+      schema.type = "object";
+      // Objects without declared keys take arbitrary arguments
+      if (!description.keys) {
+        const patterns = description.patterns as
+          | { rule: Joi.Description }[]
+          | undefined;
+        schema.additionalProperties = patterns?.length
+          ? describeToJsonSchema(patterns[0].rule)
+          : true;
+        break;
+      }
+      const keys = description.keys as Record<string, Joi.Description>;
+      schema.properties = Object.fromEntries(
+        Object.entries(keys).map(([key, child]) => [
+          key,
+          describeToJsonSchema(child),
+        ])
+      );
+      const required = Object.entries(keys)
+        .filter(
+          ([, child]) =>
+            (child.flags as { presence?: string } | undefined)?.presence ===
+            "required"
+        )
+        .map(([key]) => key);
+      if (required.length > 0) {
+        schema.required = required;
+      }
+      schema.additionalProperties = false;
+      break;
+    }
+    case "array": {
+      schema.type = "array";
+      const items = description.items as Joi.Description[] | undefined;
+      if (items?.length) {
+        schema.items = describeToJsonSchema(items[0]);
+      }
+      if (rule("min")) {
+        schema.minItems = rule("min")!.args!.limit;
+      }
+      if (rule("max")) {
+        schema.maxItems = rule("max")!.args!.limit;
+      }
+      break;
+    }
+    case "number":
+      schema.type = rule("integer") ? "integer" : "number";
+      if (rule("min")) {
+        schema.minimum = rule("min")!.args!.limit;
+      }
+      if (rule("max")) {
+        schema.maximum = rule("max")!.args!.limit;
+      }
+      break;
+    case "string":
+      schema.type = "string";
+      if (flags.only && description.allow) {
+        schema.enum = description.allow;
+      }
+      if (rule("min")) {
+        schema.minLength = rule("min")!.args!.limit;
+      }
+      if (rule("max")) {
+        schema.maxLength = rule("max")!.args!.limit;
+      }
+      break;
+    default:
+      schema.type = description.type;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+  // Defaults applied elsewhere are documented through meta({ default })
+  const metaDefault = (
+    description.metas as Record<string, unknown>[] | undefined
+  )
+    ?.map((meta) => meta.default)
+    .find((value) => value !== undefined);
+  if (flags.default !== undefined && typeof flags.default !== "function") {
+    schema.default = flags.default;
+  } else if (metaDefault !== undefined) {
+    schema.default = metaDefault;
+  }
+
+  return schema;
+}
+
+/**
+ * The JSON Schema advertised for a tool's arguments
+ */
+export function toolInputSchema(tool: ToolDefinition): Record<string, unknown> {
+  return describeToJsonSchema(tool.schema.describe());
+}
+
+/**
+ * Format a Joi error path like "image_input[2]"
+ */
+function formatPath(path: (string | number)[]): string {
+  return path
+    .map((part, i) =>
+      typeof part === "number" ? `[${part}]` : i === 0 ? part : `.${part}`
+    )
+    .join("");
+}
+
+/**
+ * Validate a tool's arguments, applying defaults
+ *
+ * Throws a ValidationError listing every violation, with its argument path.
+ * Partial arguments, such as a preset's defaults, may leave out required
+ * arguments and skip the checks spanning several arguments.
+ */
+export function validateToolArguments<T>(
+  name: string,
+  args: Record<string, unknown> | undefined,
+  { partial = false }: { partial?: boolean } = {}
+): T {
+  const tool = TOOLS.find((candidate) => candidate.name === name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  const { value, error } = tool.schema.validate(args || {}, {
+    abortEarly: false,
+    errors: { label: false },
+  });
+  const violations: Violation[] = (error?.details || [])
+    .filter((detail) => !(partial && detail.type === "any.required"))
+    .map((detail) => ({
+      path: formatPath(detail.path),
+      message:
+        detail.type === "object.unknown"
+          ? "is not a known argument"
+          : detail.message,
+    }));
+
+  if (tool.refine && !partial) {
+    violations.push(...tool.refine(value, new Set(Object.keys(args || {}))));
+  }
+  if (violations.length > 0) {
+    throw new ValidationError(violations);
+  }
+  return value as T;
+}